@@ -0,0 +1,4930 @@
+//
+// CLA-dwight: A proxy to CLA-assistant for checking CLA signatures for an organization
+//             Requires a GitHub personal access token with admin:org rights which it injects into the request
+//
+//             The data from CLA-assistant is cached and needs to be explicitly reloaded, as it costs several
+//             sequential HTTP requests to obtain it. It is also requested at the start of the service.
+//
+//             Separate local storage allows for uploading CLA signatures obtained offline.
+//
+// Usage:
+//
+//    server.mjs serves CLA-dwight configured by environment variables (and CLA_CONFIG file). To embed it into another
+//    Express app or use it from scripts, create it using the settings named and formatted as the environment variables below:
+//
+//        import { createClaDwight } from './cla-dwight.mjs';
+//        const { router, service } = await createClaDwight({ GITHUB_ORGID: "...", GITHUB_ORGTOKEN: "..." });
+//        app.use("/cla", router);
+//        const { status } = service.checkUser("username");
+//
+//    The service provides reload(), getStatus(), selfCheck(), checkUser(), getSignature(), listSignatures(),
+//    addLocalSignature() and revokeLocalSignature() of the endpoints below and getConfig() (see createService).
+//    Each call creates a separate instance with its own settings and data, so an app can embed several of them.
+//    The command line tool (cli.mjs) uses it when working offline.
+//
+// Provided endpoints:
+//
+//    All responses carry X-CLA-Data-Timestamp and X-CLA-Data-Age (in seconds) headers with the age of the data,
+//    and X-CLA-Refresh-Pending header indicating whether the data is being reloaded.
+//    All responses carry X-Request-Id header, which is taken from the request if provided and appears in the logs.
+//    Where ?reload=true is supported, ?reload=background starts reloading without waiting for the new data.
+//
+//    BASE/file/filename  If CLA_FILELOCAL is set, servers locally stored CLA files.
+//                        This call can optionally be password-protected (see CLA_LIST_AUTH, requires read scope).
+//
+//    BASE/list           Returns a list of all signatures of all users (as html, json or xml).
+//                        Use ?reload=true to force using the most recent data.
+//                        When local storage is enabled, accepts POST requests (individual or corporate signatures).
+//                        The uploaded file type is detected from its content (see CLA_UPLOAD_TYPES) and its SHA-256
+//                        hash is stored as file_sha256. Uploads of an already uploaded file, or by the same e-mail
+//                        on the same signed date as a valid signature are rejected, unless override=true is posted.
+//                        Clients accepting text/plain receive only the upload status (400 if rejected).
+//                        This call can optionally be password-protected (see CLA_LIST_AUTH and CLA_SIGN_AUTH,
+//                        requires read scope to list and sign scope to upload).
+//                        Use ?format=csv (or Accept: text/csv) to download all signatures as CSV.
+//                        All formats can be filtered by signed date using ?from= and ?to=, by revocation using
+//                        ?revoked=true|false, by CLA version using ?version=, by origin using ?origin= (e.g. local)
+//                        and searched using ?q= in user, name and email (or comma-separated custom ?fields=).
+//                        Users are sorted by the last signature, ?sort= can be signed, version, user, revoked
+//                        or a custom field name, prefix with - for descending order.
+//                        Paged by users using ?page= or ?cursor= (next in the response and Link header) and ?pageSize=
+//                        (html defaults to 100 users per page, other formats are unpaged by default).
+//                        The total number of matching users is returned in X-Total-Count header.
+//
+//    BASE/list/username  Returns a list of all signatures for a given GitHub username or a custom lookup field
+//                        if enabled using CLA_LOOKUP_FIELDS (as status, json or xml).
+//                        404 no signature found, 200 valid signature exists, 410 signature revoked,
+//                        409 only CLA versions not accepted by CLA_VERSION_POLICY signed (the signed and required
+//                        versions are returned in X-CLA-Signed-Versions and X-CLA-Required-Versions headers)
+//                        Users covered by a local corporate signature (by username or e-mail domain) are considered
+//                        signed unless it has been revoked, the corporate signature is listed first in that case.
+//                        Use ?reload=true to force using the most recent data.
+//                        Note that even if /list API is password protected, this one is not.
+//                        Use ?format=csv (or Accept: text/csv) to download the signatures as CSV.
+//                        Use ?at= (ISO date and time) to check whether any of the signatures was valid at that time,
+//                        json and xml then return { user, at, status, signature, reason } with the covering signature.
+//                        CLA_VERSION_POLICY applies to the CLA versions committed by then (409 if outdated).
+//
+//    BASE/get/id         Retuns single signature based on its unique _id value (as status, json or xml).
+//                        404 no signature found, 200 valid signature exists, 410 signature revoked,
+//                        409 signature of a CLA version not accepted by CLA_VERSION_POLICY
+//                        Use ?reload=true to force using the most recent data.
+//                        Use ?at= (ISO date and time) to check whether the signature was valid at that time (see above).
+//                        Note that even if /list API is password protected, this one is not.
+//
+//    BASE/local/id/action  If CLA_FILELOCAL is set, changes a local signature (POST, requires sign scope, see CLA_SIGN_AUTH).
+//                        Action revoke sets revoked_at (optional revoked form field, now by default), update corrects
+//                        name, email, employer or signed form fields and delete removes the signature and its file.
+//                        Signatures from CLA-assistant are read-only (403), invalid fields are rejected (400). HTML forms
+//                        are redirected back to the list with ?result= (e.g. revoked or not-found), which shows the
+//                        corresponding message.
+//
+//    BASE/import         If CLA_FILELOCAL is set, imports local signatures in bulk (POST, requires sign scope).
+//                        Accepts a CSV manifest (manifest field) with a header and a row per signature with columns
+//                        file (path in the archive), name, email, employer, signed, type, company, users, domains and
+//                        override, and a ZIP archive with the files (archive field). All rows are validated as uploads
+//                        to /list and nothing is created unless all are valid (400 with errors per row otherwise).
+//                        Use ?dryRun=true to only validate. Returns rows numbered by their line in the manifest with
+//                        status (as json, xml or text), 413 if the manifest or archive exceeds CLA_IMPORT_MAX_SIZE.
+//
+//    BASE/check          Checks CLA status of several GitHub usernames or custom lookup field values at once (POST).
+//                        Accepts JSON array, { users: [] } or a space/comma separated users form field.
+//                        Returns status (signed, revoked, outdated, missing) and matching signature ids per user
+//                        (as json or xml), outdated results also include the signed and required CLA versions.
+//                        Use ?reload=true to force using the most recent data.
+//                        Note that even if /list API is password protected, this one is not.
+//
+//    BASE/webhook        If GITHUB_WEBHOOK_SECRET and GITHUB_STATUS_TOKEN are set, receives GitHub pull_request events
+//                        (verified using X-Hub-Signature-256, the webhook content type can be application/json or
+//                        application/x-www-form-urlencoded), checks CLA status of all commit authors and posts
+//                        a commit status to the pull request head (success when all signed, failure otherwise).
+//                        Use ?reload=true in the webhook URL to force using the most recent data.
+//
+//    BASE/audit          If CLA_AUDITLOG is set, returns audit log entries (as json, xml or text).
+//                        Use ?from= and ?to= (dates, to includes the whole day), ?user=, ?id= (signature id) or ?action=
+//                        to filter the entries (400 if a date is invalid).
+//                        The response also reports whether the hash chain of the whole log is intact.
+//                        This call is password-protected (requires admin scope, see CLA_ADMIN_AUTH).
+//
+//    BASE/snapshots      If CLA_SNAPSHOTS is set, lists the snapshots of signatures taken by reloads (as json, xml or text).
+//                        This call can optionally be password-protected (see CLA_LIST_AUTH, requires read scope).
+//
+//    BASE/diff           If CLA_SNAPSHOTS is set, returns signatures added, revoked, updated and removed between two
+//                        snapshots (as html, json or xml). Use ?from= and ?to= with snapshot ids or dates and times,
+//                        the last snapshot taken at or before is used. Without ?to= compares with the current data.
+//                        This call can optionally be password-protected (see CLA_LIST_AUTH, requires read scope).
+//
+//    BASE/lookup/username  Returns CLA status of a GitHub username or a custom lookup field value in all organizations
+//                        (as json, xml or text). Organizations in error state report unavailable status.
+//
+//    BASE/metrics        Returns metrics of all organizations in the Prometheus text format: duration and outcome
+//                        of CLA-assistant calls, reloads, age of the data, file cache use, signature counts by origin
+//                        and revoked state, and HTTP request counts and durations by route and status code.
+//
+//    BASE/reload         Loads the most recent data from CLA-assistant into the cache, does not return anything.
+//                        Has the same effect as ?reload=true above. Only new CLA versions and the newest version are
+//                        requested from CLA-assistant, use ?full=true to request all versions again (requires admin scope).
+//                        Changes of signatures of older versions (e.g. revocations) are only picked up by a full reload.
+//
+//    BASE/status         Returns 200 OK or 500 globalError (i.e. when GITHUB_ORG or GITHUB_ORGTOKEN is missing).
+//                        When json or xml is requested, also reports how many CLA versions were fetched and reused
+//                        by the last reload, versions that failed to load and kept their previous signatures (degraded)
+//                        and the state of the CLA-assistant circuit breaker (closed, open or half-open).
+//                        Use ?verbose (requires admin scope) for a self-check, also in error state (as json or xml): data
+//                        age, CLA versions and signature counts, the effective configuration with secrets redacted and
+//                        sources of the settings, writability of the directories and the last CLA-assistant call result.
+//                        When in error state, requests starting with /list path fail with 500.
+//                        If the data request at startup fails, the global error state is also entered,
+//                        but calling /reload will try to obtain the data again and if it succeeds, exit the error state.
+//
+// Organizations:
+//
+//    All endpoints above except /lookup are served for each organization at BASE/org/name/ (e.g. /org/name/list/username),
+//    the first organization is also served at BASE. The organization configured by environment variables is named default,
+//    more organizations can be configured using CLA_ORGANIZATIONS.
+//
+// Authentication:
+//
+//    Clients authenticate using basic HTTP authorization (CLA_LIST_AUTH, CLA_SIGN_AUTH, CLA_ADMIN_AUTH),
+//    bearer API tokens (CLA_API_TOKENS) or bearer JWTs (CLA_JWT_JWKS or CLA_JWT_ISSUER). Each grants scopes:
+//        read                 list all signatures and download local CLA files
+//        read-private-fields  see CLA_AUTH_FIELDS in responses
+//        sign                 upload and change local signatures
+//        admin                all of the above and the audit log
+//
+// Environment variables:
+//
+//    All settings are validated when CLA-dwight is created, which fails listing all invalid settings.
+//
+//    CLA_CONFIG          Path to a YAML or JSON file with the settings below (e.g. CLA_RETRIES: 5), lists can be arrays
+//                        and relative paths are relative to the file. Non-empty environment variables override the file.
+//    PORT                Web server port (default: 3000), used by server.mjs.
+//    TIMEOUT             CLA assistant timeout in ms (default: 30000).
+//    CLA_RETRIES         Number of retries of CLA assistant calls that failed without response, with 429 or 5xx (default: 3).
+//    CLA_RETRY_DELAY     Initial delay between retries in ms, doubled with each retry and randomized (default: 1000).
+//    CLA_RETRY_MAX_DELAY Maximum delay between retries in ms, longer Retry-After is not waited for (default: 30000).
+//    CLA_BREAKER_THRESHOLD  Number of failed CLA assistant calls in a row after which calls fail immediately (default: 5).
+//    CLA_BREAKER_COOLDOWN   Time in ms after which a single call is tried again (default: 60000).
+//    BASE                URL prefix to serve (default: / i.e. /list etc.).
+//    CLA_LOG_LEVEL       Minimum level of logged messages: debug, info, warn or error (default: info).
+//                        Logs are written as JSON lines, credentials and CLA_AUTH_FIELDS values are redacted.
+//
+//    CLA_REFRESH_INTERVAL  If present, data is reloaded in background every given number of ms.
+//                          The previous data keep being served while reloading, and if the reload fails.
+//
+//    CLA_ORGANIZATIONS   Path to a JSON file with more organizations [{ "name", "orgId", "orgToken", "listAuth", "signAuth",
+//                        "adminAuth", "fileCache", "fileLocal", "snapshots" }], the properties correspond to GITHUB_ORGID,
+//                        GITHUB_ORGTOKEN, CLA_LIST_AUTH, CLA_SIGN_AUTH, CLA_ADMIN_AUTH, CLA_FILECACHE, CLA_FILELOCAL and
+//                        CLA_SNAPSHOTS of that organization. If present, GITHUB_ORGID and GITHUB_ORGTOKEN are optional.
+//                        Other settings are shared by all organizations.
+//    CLA_ASSISTANT_URL   Base URI for the CLA-assistant API (default: https://cla-assistant.io/api).
+//    CLA_LIST_AUTH       If present, /list and /file will require basic HTTP authorization.
+//                        The value should be space-separated base64-encoded username:password values.
+//    CLA_ADMIN_AUTH      If present, grants admin scope using basic HTTP authorization. Same syntax as CLA_LIST_AUTH.
+//    CLA_API_TOKENS      Path to a JSON file with API tokens [{ "name", "hash", "scopes": [], "expires" }] accepted
+//                        as Authorization: Bearer token. The hash is hex-encoded SHA-256 of the token.
+//    CLA_JWT_JWKS        Path to a JWKS file with keys to verify bearer JWTs, scopes are taken from scope or scp claim
+//                        (space-separated or an array).
+//    CLA_JWT_ISSUER      Expected issuer of JWTs. If CLA_JWT_JWKS is not set, keys are obtained from its OpenID configuration.
+//    CLA_JWT_AUDIENCE    Expected audience of JWTs.
+//    CLA_AUTH_FIELDS     A space-separated list of field names in custom_fields that are considered private.
+//                        The /list/username API will remove these fields unless client authorizes.
+//    CLA_VERSION_POLICY  Which CLA versions are accepted as valid: any (default), latest, after:date (versions committed
+//                        at or after the date) or a space-separated list of versions. Users who signed only other versions
+//                        are reported as outdated (also by ?at= for the versions committed by then). Local signatures
+//                        are not tied to a version and are always accepted.
+//    CLA_LOOKUP_FIELDS   A space-separated list of field names in custom_fields that can be used to query CLA status
+//                        instead of username using the BASE/list/username endpoint. If a field value maps to several
+//                        different usernames, all corresponding signatures will be considered as belonging to one user.
+//    CLA_FILECACHE       Directory path where to store responses from CLA assistant as files.
+//                        If present, the file data will be used when the call to the CLA assistant fails,
+//                        unless reload is explicitly requested.
+//    CLA_FILELOCAL       Directory path where to store local CLA files. If present, /list will render UI for uploading
+//                        CLA signatures obtained offline, accept POST requests and store signatures locally.
+//    CLA_UPLOAD_MAX_SIZE Maximum size of uploaded CLA files in bytes (default: 10485760).
+//    CLA_IMPORT_MAX_SIZE Maximum size of the manifest and archive uploaded to /import in bytes (default: 209715200).
+//    CLA_UPLOAD_TYPES    Space-separated list of allowed CLA file types: pdf, png, jpeg (default: all).
+//    CLA_STORAGE         Where to keep the cache and local signatures: file (default, in CLA_FILECACHE and CLA_FILELOCAL)
+//                        or sqlite:path to a SQLite database shared by all organizations. With sqlite, the cache is always
+//                        enabled and CLA_FILELOCAL only stores uploaded files. Run node server.mjs migrate to import
+//                        existing cache and local signature files into the database. SQLite requires Node.js 22.13 or newer.
+//    CLA_AUDITLOG        Directory path where to store the audit log of local signature changes, reloads and failed
+//                        authorizations. Each entry contains hash of the previous entry to detect tampering.
+//    CLA_WEBHOOKS        A space-separated list of URLs to which signature.created, signature.revoked and signature.updated
+//                        events are posted (as JSON) when reload or local signature changes find new, revoked or changed signatures.
+//                        The first reload after start is compared with the latest snapshot or the cache, reloads that fall back
+//                        to the cache do not notify.
+//    CLA_WEBHOOK_SECRET  If present, webhook requests are signed using HMAC SHA-256 in the X-CLA-Signature-256 header.
+//    CLA_WEBHOOK_QUEUE   Directory path where to store webhook deliveries that have not succeeded yet, so they survive restarts.
+//    CLA_WEBHOOK_RETRIES Number of attempts to deliver a webhook, with exponential backoff (default: 10).
+//    CLA_SNAPSHOTS       Directory path where to store snapshots of signatures after reloads that changed them.
+//    CLA_SNAPSHOT_RETENTION  Number of days to keep snapshots for, 0 to keep forever (default: 365).
+//                            The newest older snapshot is kept, as it is still in effect until the next one.
+//    CLA_SIGN_AUTH       If present, /list will require basic HTTP authorization to upload local files.
+//                        The value should be space-separated base64-encoded username:password values.
+//                        The list of credentials in CLA_LIST_AUTH and CLA_SIGN_AUTH do not need to overlap.
+//
+//    GITHUB_ORGID (required)     GitHub organization ID. This is a number and can be obtained from
+//                                https://api.github.com/orgs/{organization username} (the id attribute).
+//
+//    GITHUB_ORGTOKEN (required)  PAT token with admin:org access to the GitHub organization.
+//
+//    GITHUB_API_URL         Base URI for the GitHub REST API (default: https://api.github.com/).
+//    GITHUB_WEBHOOK_SECRET  Secret of the GitHub webhook. If present, enables the /webhook endpoint.
+//    GITHUB_STATUS_TOKEN    Token with commit statuses write access to the repositories, used by the /webhook endpoint.
+//    GITHUB_STATUS_CONTEXT  Name of the commit status posted by the /webhook endpoint (default: CLA-dwight).
+//
+
+import axios from 'axios';
+import express from 'express';
+import xml from 'xmlbuilder2';
+import fs from 'fs/promises';
+import { createReadStream, readFileSync, unlinkSync } from 'fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import multer from 'multer';
+import { nanoid } from 'nanoid';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import * as jose from 'jose';
+import AdmZip from 'adm-zip';
+import yaml from 'js-yaml';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Log entries are written as JSON lines { level, timestamp, message, requestId, ...fields }, errors go to stderr
+// The message can be an Error, fields.error is serialized including its cause
+// This logger is not tied to any instance (e.g. for configuration errors), instances log using their own (see createLogger)
+export const logger = createLogger();
+
+const LOCALBASE = "/file";
+const HTML_PAGE_SIZE = 100;
+const VIEWS = path.join(path.dirname(fileURLToPath(import.meta.url)), "views"); // rendered by path, the embedding app may use other views
+const METRIC_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]; // histogram buckets in seconds
+const UPLOAD_TYPES = // file types recognized by their first bytes
+{
+    pdf: { extension: ".pdf", magic: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+    png: { extension: ".png", magic: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    jpeg: { extension: ".jpg", magic: [0xFF, 0xD8, 0xFF] }
+};
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_REDACTED = "[redacted]";
+
+// Schema of the settings validated by loadConfig, the settings not listed here are ignored (CLA_CONFIG file must not have them)
+// type: string, integer, url, path (directory), file (must exist), enum (one of values), auth (base64-encoded username:password),
+//       base (URL prefix), policy (CLA_VERSION_POLICY) or storage (CLA_STORAGE)
+// list: space-separated values (arrays in the CLA_CONFIG file), secret: redacted in /status?verbose
+const SETTINGS =
+{
+    PORT: { type: "integer", default: "3000" },
+    TIMEOUT: { type: "integer", default: "30000" },
+    CLA_RETRIES: { type: "integer", default: "3" },
+    CLA_RETRY_DELAY: { type: "integer", default: "1000" },
+    CLA_RETRY_MAX_DELAY: { type: "integer", default: "30000" },
+    CLA_BREAKER_THRESHOLD: { type: "integer", min: 1, default: "5" },
+    CLA_BREAKER_COOLDOWN: { type: "integer", default: "60000" },
+    BASE: { type: "base", default: "/" },
+    CLA_LOG_LEVEL: { type: "enum", values: LOG_LEVELS, default: "info" },
+    CLA_REFRESH_INTERVAL: { type: "integer" },
+    CLA_ORGANIZATIONS: { type: "file" },
+    CLA_ASSISTANT_URL: { type: "url", default: "https://cla-assistant.io/api" },
+    CLA_LIST_AUTH: { type: "auth", list: true, secret: true },
+    CLA_SIGN_AUTH: { type: "auth", list: true, secret: true },
+    CLA_ADMIN_AUTH: { type: "auth", list: true, secret: true },
+    CLA_API_TOKENS: { type: "file" },
+    CLA_JWT_JWKS: { type: "file" },
+    CLA_JWT_ISSUER: { type: "string" },
+    CLA_JWT_AUDIENCE: { type: "string" },
+    CLA_AUTH_FIELDS: { type: "string", list: true },
+    CLA_VERSION_POLICY: { type: "policy", default: "any" },
+    CLA_LOOKUP_FIELDS: { type: "string", list: true },
+    CLA_FILECACHE: { type: "path" },
+    CLA_FILELOCAL: { type: "path" },
+    CLA_UPLOAD_MAX_SIZE: { type: "integer", min: 1, default: String(10 * 1024 * 1024) },
+    CLA_IMPORT_MAX_SIZE: { type: "integer", min: 1, default: String(200 * 1024 * 1024) },
+    CLA_UPLOAD_TYPES: { type: "enum", list: true, values: Object.keys(UPLOAD_TYPES), default: Object.keys(UPLOAD_TYPES).join(" ") },
+    CLA_STORAGE: { type: "storage", default: "file" },
+    CLA_AUDITLOG: { type: "path" },
+    CLA_WEBHOOKS: { type: "url", list: true },
+    CLA_WEBHOOK_SECRET: { type: "string", secret: true },
+    CLA_WEBHOOK_QUEUE: { type: "path" },
+    CLA_WEBHOOK_RETRIES: { type: "integer", min: 1, default: "10" },
+    CLA_SNAPSHOTS: { type: "path" },
+    CLA_SNAPSHOT_RETENTION: { type: "integer", default: "365" },
+    GITHUB_ORGID: { type: "integer" },
+    GITHUB_ORGTOKEN: { type: "string", secret: true },
+    GITHUB_API_URL: { type: "url", default: "https://api.github.com/" },
+    GITHUB_WEBHOOK_SECRET: { type: "string", secret: true },
+    GITHUB_STATUS_TOKEN: { type: "string", secret: true },
+    GITHUB_STATUS_CONTEXT: { type: "string", default: "CLA-dwight" }
+};
+
+// Create CLA-dwight from a configuration with the settings named and formatted as the environment variables above
+// (e.g. process.env), merged with the CLA_CONFIG file and validated (throws listing all invalid settings),
+// sets up the organizations and loads their data unless options.load is false
+// (or only from the cache and local signatures if options.load is "cache")
+// Returns { router, service, logger }: the router serves all endpoints at BASE and can be used by any Express app,
+// the service gives scripts access to the same data (see createService) and the logger writes with the instance settings
+// Each call creates a separate instance (see createInstance), so an app can embed several or try again after a failure
+export async function createClaDwight(config = {}, options = {})
+{
+    const instance = createInstance(await loadConfig(config));
+    return await instance.start(options);
+}
+
+// State, routes and functions of a CLA-dwight instance using the configuration loaded by loadConfig
+// Returns { start } which sets up the organizations (see createClaDwight)
+function createInstance(config)
+{
+    const router = express.Router(); // routes of the organization selected by baseRouter (request.org)
+    const baseRouter = express.Router();
+    const web = axios.create();
+    const logger = createLogger(
+        {
+            level: () => CLA_LOG_LEVEL,
+            context: () => globalLogContext.getStore(),
+            format: formatLogEntry
+        });
+
+    // settings read from the configuration by configure
+    var BASE, CLA_ASSISTANT_URL, CLA_LIST_AUTH, CLA_SIGN_AUTH, CLA_ADMIN_AUTH, CLA_API_TOKENS, CLA_JWT_JWKS, CLA_JWT_ISSUER,
+        CLA_JWT_AUDIENCE, CLA_AUTH_FIELDS, CLA_REFRESH_INTERVAL, CLA_RETRIES, CLA_RETRY_DELAY, CLA_RETRY_MAX_DELAY,
+        CLA_BREAKER_THRESHOLD, CLA_BREAKER_COOLDOWN, CLA_VERSION_POLICY, CLA_LOOKUP_FIELDS, GITHUB_ORGID, GITHUB_ORGTOKEN,
+        GITHUB_API_URL, GITHUB_WEBHOOK_SECRET, GITHUB_STATUS_TOKEN, GITHUB_STATUS_CONTEXT, CLA_ORGANIZATIONS, CLA_FILELOCAL,
+        CLA_FILECACHE, CLA_AUDITLOG, CLA_WEBHOOKS, CLA_WEBHOOK_SECRET, CLA_WEBHOOK_QUEUE, CLA_WEBHOOK_RETRIES, CLA_SNAPSHOTS,
+        CLA_SNAPSHOT_RETENTION, CLA_STORAGE, CLA_UPLOAD_MAX_SIZE, CLA_IMPORT_MAX_SIZE, CLA_UPLOAD_TYPES, CLA_LOG_LEVEL,
+        CLA_FILE_AUDIT, CLA_FILE_WEBHOOKS;
+
+    var globalConfig = null; // { file, settings, sources } of the configuration passed to createClaDwight (see loadConfig)
+    var globalOrganizations = new Map(); // organizations keyed by name (see createOrganization), the first one is served at BASE
+    var globalAuditQueue = Promise.resolve(); // pending audit log writes (serialized to keep the hash chain in order)
+    var globalAuditLast = null; // { seq, hash } of the last audit log entry
+    var globalWebhookQueue = []; // pending webhook deliveries { id, url, event, payload, attempts, due }
+    var globalWebhookSaving = Promise.resolve(); // pending write of the webhook queue file
+    var globalWebhookTimer = null; // next processing of the webhook queue
+    var globalWebhookSending = false;
+    var globalApiTokens = null; // Map of { name, scopes[], expires } keyed by SHA-256 hash of the token, with mtime of the file
+    var globalJwks = null; // JWKS key lookup function for JWT verification
+    var globalLogContext = new AsyncLocalStorage(); // { requestId } of the request being handled
+    var globalMetrics = new Map(); // counters and histograms for /metrics, Map of series keyed by formatted labels
+    var globalBreaker = { state: "closed", failures: 0, openedAt: null, probing: false }; // circuit breaker of CLA assistant calls (see postClaAssistant)
+    var globalDatabase = null; // SQLite database shared by all organizations if CLA_STORAGE is sqlite:path
+    var globalAssistantLast = null; // { timestamp, organization, call, url, status, error } of the last CLA assistant call for /status?verbose
+
+    // Set up the organizations and load their data as requested by options.load (see createClaDwight)
+    async function start(options)
+    {
+        configure(config);
+
+        if (CLA_AUDITLOG)
+            await fs.mkdir(CLA_AUDITLOG, { recursive: true });
+
+        if (CLA_WEBHOOK_QUEUE)
+            await fs.mkdir(CLA_WEBHOOK_QUEUE, { recursive: true });
+
+        if (CLA_STORAGE.startsWith("sqlite:"))
+            globalDatabase = await openDatabase(CLA_STORAGE.substring("sqlite:".length));
+
+        // the organization configured by environment variables (unless there are only organizations from CLA_ORGANIZATIONS)
+        if (GITHUB_ORGID || GITHUB_ORGTOKEN || !CLA_ORGANIZATIONS)
+        {
+            const org = createOrganization(
+                {
+                    name: "default",
+                    orgId: GITHUB_ORGID,
+                    orgToken: GITHUB_ORGTOKEN,
+                    listAuth: CLA_LIST_AUTH,
+                    signAuth: CLA_SIGN_AUTH,
+                    adminAuth: CLA_ADMIN_AUTH,
+                    fileCache: CLA_FILECACHE,
+                    fileLocal: CLA_FILELOCAL,
+                    snapshots: CLA_SNAPSHOTS
+                });
+
+            if (!GITHUB_ORGTOKEN) org.error = { message: "GITHUB_ORGTOKEN environment variable not set." };
+            if (!GITHUB_ORGID) org.error = { message: "GITHUB_ORGID environment variable not set." };
+            globalOrganizations.set(org.name, org);
+        }
+
+        if (CLA_ORGANIZATIONS)
+            await loadOrganizations();
+
+        for (const org of globalOrganizations.values())
+            await createOrganizationDirectories(org);
+
+        // maintenance tasks (e.g. migrate) do not need the data, offline tools do not call CLA-assistant
+        // and must not change the state of a running instance (see lockStateDirectories)
+        const load = options.load ?? true;
+        if (load === true)
+            await lockStateDirectories();
+
+        if (load && CLA_WEBHOOKS)
+            await loadWebhookQueue();
+
+        for (const org of globalOrganizations.values())
+        {
+            if (org.error || !load)
+                continue;
+
+            if (load == "cache")
+                await loadCachedData(org).catch(ex => org.error = ex);
+            else
+            {
+                await globalReload(org, /*ignoreErrors*/ true);
+                scheduleRefresh(org);
+            }
+        }
+
+        return { router: createMainRouter(), service: createService(), logger };
+    }
+
+    // Read the settings from the configuration loaded by loadConfig (missing settings have the defaults documented above)
+    function configure(config)
+    {
+        globalConfig = config;
+        const settings = config.settings;
+        web.defaults.timeout = Number(settings.TIMEOUT);
+
+        BASE = settings.BASE;
+        CLA_ASSISTANT_URL = settings.CLA_ASSISTANT_URL.replace(/\/+$/, ""); // calls are appended as /cla/call
+        CLA_LIST_AUTH = settings.CLA_LIST_AUTH?.split(" ");
+        CLA_SIGN_AUTH = settings.CLA_SIGN_AUTH?.split(" ");
+        CLA_ADMIN_AUTH = settings.CLA_ADMIN_AUTH?.split(" ");
+        CLA_API_TOKENS = settings.CLA_API_TOKENS ?? "";
+        CLA_JWT_JWKS = settings.CLA_JWT_JWKS ?? "";
+        CLA_JWT_ISSUER = settings.CLA_JWT_ISSUER ?? "";
+        CLA_JWT_AUDIENCE = settings.CLA_JWT_AUDIENCE;
+        CLA_AUTH_FIELDS = settings.CLA_AUTH_FIELDS?.split(" ");
+        CLA_REFRESH_INTERVAL = Number(settings.CLA_REFRESH_INTERVAL ?? 0);
+        CLA_RETRIES = Number(settings.CLA_RETRIES);
+        CLA_RETRY_DELAY = Number(settings.CLA_RETRY_DELAY);
+        CLA_RETRY_MAX_DELAY = Number(settings.CLA_RETRY_MAX_DELAY);
+        CLA_BREAKER_THRESHOLD = Number(settings.CLA_BREAKER_THRESHOLD);
+        CLA_BREAKER_COOLDOWN = Number(settings.CLA_BREAKER_COOLDOWN);
+        CLA_VERSION_POLICY = settings.CLA_VERSION_POLICY.trim();
+        CLA_LOOKUP_FIELDS = settings.CLA_LOOKUP_FIELDS?.split(" ");
+        GITHUB_ORGID = settings.GITHUB_ORGID;
+        GITHUB_ORGTOKEN = settings.GITHUB_ORGTOKEN;
+        GITHUB_API_URL = settings.GITHUB_API_URL;
+        GITHUB_WEBHOOK_SECRET = settings.GITHUB_WEBHOOK_SECRET;
+        GITHUB_STATUS_TOKEN = settings.GITHUB_STATUS_TOKEN;
+        GITHUB_STATUS_CONTEXT = settings.GITHUB_STATUS_CONTEXT;
+
+        CLA_ORGANIZATIONS = settings.CLA_ORGANIZATIONS ?? "";
+        CLA_FILELOCAL = settings.CLA_FILELOCAL ?? "";
+        CLA_FILECACHE = settings.CLA_FILECACHE ?? "";
+        CLA_AUDITLOG = settings.CLA_AUDITLOG ?? "";
+        CLA_WEBHOOKS = settings.CLA_WEBHOOKS?.split(" ");
+        CLA_WEBHOOK_SECRET = settings.CLA_WEBHOOK_SECRET ?? "";
+        CLA_WEBHOOK_QUEUE = settings.CLA_WEBHOOK_QUEUE ?? "";
+        CLA_WEBHOOK_RETRIES = Number(settings.CLA_WEBHOOK_RETRIES);
+        CLA_SNAPSHOTS = settings.CLA_SNAPSHOTS ?? "";
+        CLA_SNAPSHOT_RETENTION = Number(settings.CLA_SNAPSHOT_RETENTION);
+        CLA_STORAGE = settings.CLA_STORAGE;
+        CLA_UPLOAD_MAX_SIZE = Number(settings.CLA_UPLOAD_MAX_SIZE);
+        CLA_IMPORT_MAX_SIZE = Number(settings.CLA_IMPORT_MAX_SIZE);
+        CLA_UPLOAD_TYPES = settings.CLA_UPLOAD_TYPES.split(" ");
+        CLA_LOG_LEVEL = settings.CLA_LOG_LEVEL;
+        CLA_FILE_AUDIT = path.join(CLA_AUDITLOG, "audit.jsonl");
+        CLA_FILE_WEBHOOKS = path.join(CLA_WEBHOOK_QUEUE, "webhooks.json");
+
+        createUploads();
+    }
+
+    //#region Configuration
+
+    // Effective configuration with secrets redacted { file, settings, sources }
+    function getRedactedConfig()
+    {
+        const settings = {};
+        for (const [name, value] of Object.entries(globalConfig.settings))
+            settings[name] = SETTINGS[name].secret ? LOG_REDACTED : value;
+
+        return { file: globalConfig.file, settings, sources: globalConfig.sources };
+    }
+
+    // Directories the organization and the service write to, with whether they are writable (for /status?verbose)
+    async function checkDirectories(org)
+    {
+        const directories = [
+            ["CLA_FILECACHE", org.fileCache],
+            ["CLA_FILELOCAL", org.dirUploads],
+            ["CLA_FILELOCAL", org.dirSignees],
+            ["CLA_FILELOCAL", org.dirCorporate],
+            ["CLA_SNAPSHOTS", org.snapshots],
+            ["CLA_AUDITLOG", CLA_AUDITLOG],
+            ["CLA_WEBHOOK_QUEUE", CLA_WEBHOOK_QUEUE],
+            ["CLA_STORAGE", CLA_STORAGE.startsWith("sqlite:") ? path.dirname(CLA_STORAGE.substring("sqlite:".length)) : null]
+        ];
+
+        const results = [];
+        for (const [setting, directory] of directories)
+        {
+            if (!directory)
+                continue;
+
+            const result = { setting, path: path.resolve(directory), writable: true, error: null };
+            try
+            {
+                await fs.access(directory, fs.constants.W_OK);
+            }
+            catch (ex)
+            {
+                result.writable = false;
+                result.error = ex.message;
+            }
+            results.push(result);
+        }
+        return results;
+    }
+
+    //#endregion
+
+    //#region Organizations
+
+    // Create the state of an organization from its configuration, all data of the organization are kept here
+    function createOrganization(config)
+    {
+        const fileCache = config.fileCache || "";
+        const fileLocal = config.fileLocal || "";
+
+        const org = {
+            name: config.name,
+            orgId: config.orgId,
+            orgToken: config.orgToken,
+            listAuth: splitAuthList(config.listAuth),
+            signAuth: splitAuthList(config.signAuth),
+            adminAuth: splitAuthList(config.adminAuth),
+            fileCache,
+            fileLocal,
+            snapshots: config.snapshots || "",
+            fileGist: path.join(fileCache, "gist.json"),
+            fileSignatures: path.join(fileCache, "signatures.json"),
+            dirUploads: fileLocal ? path.join(fileLocal, "uploads") : null, // not relative to the working directory without fileLocal
+            dirSignees: fileLocal ? path.join(fileLocal, "signatures") : null,
+            dirCorporate: fileLocal ? path.join(fileLocal, "corporate") : null,
+            storage: null, // cache and local signatures (see createStorage)
+
+            error: false, // { message }
+            gist: null, // { url, filename, verions[]: { version, committed, url } }
+            signees: null, // Map of [] keyed by username (sorted list of signatures per user, newest first)
+                           // with corporates[] (corporate signatures covering other users, newest first)
+            lookups: null, // Map of Set with usernames keyed by custom fields
+            signatures: null, // Map of signatures keyed by their id
+            reloadStats: null, // { timestamp, full, cached, fetched, reused, degraded[] } for the last successful reload
+            reloadPromise: null // reload in progress, shared by all concurrent callers
+        };
+
+        org.storage = createStorage(org);
+        return org;
+    }
+
+    // Read organizations from the CLA_ORGANIZATIONS file
+    // [{ name, orgId, orgToken, listAuth, signAuth, adminAuth, fileCache, fileLocal, snapshots }]
+    async function loadOrganizations()
+    {
+        const configs = JSON.parse(await fs.readFile(CLA_ORGANIZATIONS, { encoding: 'utf8' }));
+
+        for (const config of configs)
+        {
+            if (!/^[\w.-]+$/.test(config.name ?? ""))
+                throw new Error(`Invalid organization name in ${CLA_ORGANIZATIONS}: ${config.name}`);
+            if (globalOrganizations.has(config.name))
+                throw new Error(`Duplicate organization name in ${CLA_ORGANIZATIONS}: ${config.name}`);
+
+            const org = createOrganization(config);
+            if (!org.orgToken) org.error = { message: `Organization ${org.name} has no orgToken.` };
+            if (!org.orgId) org.error = { message: `Organization ${org.name} has no orgId.` };
+            globalOrganizations.set(org.name, org);
+        }
+    }
+
+    async function createOrganizationDirectories(org)
+    {
+        if (org.fileCache)
+            await fs.mkdir(org.fileCache, { recursive: true });
+
+        if (org.snapshots)
+            await fs.mkdir(org.snapshots, { recursive: true });
+
+        if (org.fileLocal)
+        {
+            await fs.mkdir(org.dirUploads, { recursive: true });
+            await fs.mkdir(org.dirSignees, { recursive: true });
+            await fs.mkdir(org.dirCorporate, { recursive: true });
+        }
+    }
+
+    // Auth lists can be configured as arrays or space-separated strings
+    function splitAuthList(value)
+    {
+        if (!value)
+            return undefined;
+
+        return Array.isArray(value) ? value : String(value).split(" ");
+    }
+
+    // The organization served at BASE (without the /org/name prefix)
+    function getDefaultOrganization()
+    {
+        return globalOrganizations.values().next().value;
+    }
+
+    // Summary of the data of an organization: age, source, CLA versions and signature counts
+    function getDataStatus(org)
+    {
+        const signatures = org.signatures ? Array.from(org.signatures.values()) : [];
+        const timestamp = org.signees?.timestamp;
+
+        return {
+            organization: org.name,
+            status: org.error ? "error" : "OK",
+            error: org.error?.message ?? null,
+            storage: org.storage.name,
+            timestamp: timestamp?.toISOString() ?? null,
+            age: timestamp ? Math.max(0, Math.floor((new Date() - timestamp) / 1000)) : null,
+            reload: org.reloadStats && { ...org.reloadStats, timestamp: org.reloadStats.timestamp.toISOString() },
+            gist: org.gist?.url ?? null,
+            versions: org.gist?.versions.map(v => ({ version: v.version, committed: v.committed })) ?? [],
+            signatures: signatures.length,
+            revoked: signatures.filter(s => s.revoked_at).length,
+            local: signatures.filter(isLocalSignature).length
+        };
+    }
+
+    //#endregion
+
+    //#region Cache and File Cache
+
+    // Reload data of an organization into the cache, the previous data keep being served until the reload finishes
+    // If a reload is already in progress, waits for it instead of starting a new one
+    async function globalReload(org, ignoreErrors, disableCache, fullReload)
+    {
+        try
+        {
+            await sharedReload(org, disableCache, fullReload);
+            org.error = null;
+        }
+        catch (ex)
+        {
+            org.error = ex;
+            if (!ignoreErrors)
+                throw ex;
+        }
+    }
+
+    // Reload data in background, unlike globalReload failures do not discard data that was loaded before
+    function backgroundReload(org)
+    {
+        return sharedReload(org, /*disableCache*/ false)
+            .then(function ()
+            {
+                org.error = null;
+            })
+            .catch(function (ex)
+            {
+                if (org.signees)
+                    logger.warn(`Background reload of ${org.name} failed, keeping previous data.`);
+                else
+                    org.error = ex;
+            });
+    }
+
+    // Periodically reload data in background if CLA_REFRESH_INTERVAL is set
+    function scheduleRefresh(org)
+    {
+        if (CLA_REFRESH_INTERVAL > 0)
+            setTimeout(async function ()
+            {
+                logger.info(`Refreshing data of ${org.name} in background...`);
+                await backgroundReload(org);
+                scheduleRefresh(org);
+            }, CLA_REFRESH_INTERVAL).unref();
+    }
+
+    async function sharedReload(org, disableCache, fullReload)
+    {
+        // a full reload cannot be satisfied by an incremental one in progress,
+        // nor a reload that must not use the file cache by one that may fall back to it
+        while (org.reloadPromise && ((fullReload && !org.reloadPromise.full) || (disableCache && !org.reloadPromise.disableCache)))
+            await org.reloadPromise.catch(() => { });
+
+        if (!org.reloadPromise)
+        {
+            org.reloadPromise = reloadData(org, disableCache, fullReload)
+                .finally(function ()
+                {
+                    org.reloadPromise = null;
+                });
+            org.reloadPromise.full = !!fullReload;
+            org.reloadPromise.disableCache = !!disableCache;
+        }
+
+        return org.reloadPromise;
+    }
+
+    // Handle the ?reload query parameter, "true" waits for the most recent data and "background" starts reloading
+    // without waiting for it. Returns true if the data has been reloaded.
+    async function reloadIfRequested(request)
+    {
+        if (request.query.reload == "true")
+        {
+            await globalReload(request.org, /*ignoreErrors*/ false, /*disableCache*/ true);
+            return true;
+        }
+
+        if (request.query.reload == "background")
+            backgroundReload(request.org);
+
+        return false;
+    }
+
+    async function reloadData(org, disableCache, fullReload)
+    {
+        let gist = null;
+        let signatures = null;
+        let gotCached = false;
+        let localPromise = null;
+        if (org.fileLocal)
+            localPromise = getLocalSignatures(org);
+
+        const stats = { timestamp: new Date(), full: !!fullReload, cached: false, fetched: 0, reused: 0, degraded: [] };
+
+        // signatures to notify changes against (read before the cache is overwritten)
+        const baseline = org.signatures ?? await getStartupSignatures(org);
+
+        try
+        {
+            const previous = fullReload ? null : await getPreviousData(org);
+            gist = await getGist(org);
+            signatures = await getSignatures(org, gist, previous, stats);
+        }
+        catch (ex)
+        {
+            logger.error(ex);
+
+            if (org.storage.caching && !disableCache)
+                try
+                {
+                    logger.info("Trying data from cache instead...");
+                    ({ gist, signatures } = await org.storage.readCache());
+                    gotCached = true;
+                    stats.cached = true;
+                    ex = null;
+                }
+                catch (exfs)
+                {
+                    logger.error(exfs);
+                    ex = new AggregateError("Both CLA and cache failed.", [ex, exfs]);
+                }
+
+            if (ex)
+            {
+                countMetric("cla_dwight_reloads_total", { organization: org.name, outcome: "failed" });
+                audit("reload", null, null, { organization: org.name, outcome: "failed", full: stats.full, error: ex.message });
+                throw ex;
+            }
+        }
+
+        const signees = createSignees(signatures);
+        const lookups = createLookups(signees);
+
+        if (!gotCached && org.storage.caching && gist && signatures)
+            try
+            {
+                logger.info("Saving data to cache...");
+                await org.storage.writeCache(gist, signatures);
+            }
+            catch (ex)
+            {
+                logger.error(ex);
+            }
+
+        if (localPromise)
+            try
+            {
+                const localSignatures = await localPromise;
+                for (const signature of localSignatures)
+                    addLocalSignature(signatures, signees, lookups, signature, /*sort*/ true);
+            }
+            catch (exlo)
+            {
+                logger.error(exlo);
+            }
+
+        // data from the file cache have been notified when they were loaded
+        const diff = baseline && !stats.cached ? diffSignatures(baseline, signatures) : null;
+        countMetric("cla_dwight_reloads_total", { organization: org.name, outcome: stats.cached ? "cached" : "ok" });
+        audit("reload", null, null,
+            {
+                organization: org.name,
+                outcome: stats.cached ? "cached" : "ok",
+                full: stats.full,
+                fetched: stats.fetched,
+                reused: stats.reused,
+                degraded: stats.degraded.length ? stats.degraded : undefined,
+                signatures: signatures.size,
+                added: diff?.added.map(s => s._id),
+                revoked: diff?.revoked.map(s => s._id),
+                removed: diff?.removed.map(s => s._id)
+            });
+
+        if (diff)
+            notifySignatureChanges(org, diff);
+
+        // data from the file cache are not the state at this time
+        if (org.snapshots && !stats.cached)
+            await saveSnapshot(org, signatures, stats.timestamp);
+
+        org.gist = gist;
+        org.signatures = signatures;
+        org.signees = signees;
+        org.lookups = lookups;
+        org.reloadStats = stats;
+    }
+
+    // Signatures known before the first reload after a start, so that changes made while the service was not running
+    // are notified: the latest snapshot or the cache. Local signatures are taken from the current data instead,
+    // as their changes are notified when they are made (and the cache does not have them).
+    async function getStartupSignatures(org)
+    {
+        let signatures = null;
+        try
+        {
+            const snapshot = org.snapshots ? (await listSnapshots(org)).at(-1) : null;
+            if (snapshot)
+                signatures = await readSnapshot(org, snapshot);
+            else if (org.storage.caching)
+                signatures = (await org.storage.readCache()).signatures;
+        }
+        catch (ex)
+        {
+            logger.info("No previous signatures to notify changes against.");
+            return null;
+        }
+
+        if (!signatures)
+            return null;
+
+        for (const [id, signature] of signatures)
+            if (isLocalSignature(signature))
+                signatures.delete(id);
+
+        if (org.fileLocal)
+            for (const signature of await getLocalSignatures(org).catch(() => []))
+                signatures.set(signature._id, signature);
+
+        return signatures;
+    }
+
+    // Load data of an organization only from the cache and local signatures, without calling CLA-assistant
+    // Without CLA_FILECACHE (or CLA_STORAGE database) only the local signatures are loaded
+    async function loadCachedData(org)
+    {
+        let gist = null;
+        let signatures = Object.assign(new Map(), { timestamp: new Date() });
+        if (org.storage.caching)
+            ({ gist, signatures } = await org.storage.readCache());
+
+        const signees = createSignees(signatures);
+        const lookups = createLookups(signees);
+        for (const signature of await getLocalSignatures(org))
+            addLocalSignature(signatures, signees, lookups, signature, /*sort*/ true);
+
+        org.gist = gist;
+        org.signatures = signatures;
+        org.signees = signees;
+        org.lookups = lookups;
+        org.reloadStats = { timestamp: signatures.timestamp, full: false, cached: true, fetched: 0, reused: 0, degraded: [] };
+    }
+
+    // Get previously obtained CLA assistant data for incremental reload (cache or the current data)
+    async function getPreviousData(org)
+    {
+        if (org.storage.caching)
+            try
+            {
+                return await org.storage.readCache();
+            }
+            catch (ex)
+            {
+                logger.info("No usable cache for incremental reload.");
+            }
+
+        if (org.gist && org.signatures)
+            return { gist: org.gist, signatures: org.signatures };
+
+        return null;
+    }
+
+    function addLocalSignature(allSignatures, signees, lookups, signature, sort)
+    {
+        allSignatures.set(signature._id, signature);
+
+        if (isCorporateSignature(signature))
+        {
+            signees.corporates.push(signature);
+            if (sort)
+                signees.corporates.sort(signatureComparer);
+            return;
+        }
+
+        if (signees.has(signature.user))
+        {
+            const signatures = signees.get(signature.user);
+            signatures.push(signature);
+            if (sort)
+                signatures.sort(signatureComparer);
+        }
+        else
+            signees.set(signature.user, [signature]);
+
+        addToLookup(lookups, signature);
+    }
+
+    function removeLocalSignature(allSignatures, signees, lookups, signature)
+    {
+        allSignatures.delete(signature._id);
+
+        if (isCorporateSignature(signature))
+        {
+            const index = signees.corporates.findIndex(s => s._id == signature._id);
+            if (index >= 0)
+                signees.corporates.splice(index, 1);
+            return;
+        }
+
+        const signatures = signees.get(signature.user);
+        if (signatures)
+        {
+            const index = signatures.findIndex(s => s._id == signature._id);
+            if (index >= 0)
+                signatures.splice(index, 1);
+            if (signatures.length < 1)
+                signees.delete(signature.user);
+        }
+
+        removeFromLookup(lookups, signees, signature);
+    }
+
+    // Cached data contain Maps and Dates (with extra properties such as timestamp), which JSON cannot represent
+    function serializeCacheData(data)
+    {
+        return JSON.stringify(data, function (key, value)
+        {
+            if (this[key] instanceof Map)
+                value.__map = Array.from(value.entries());
+
+            else if (this[key] instanceof Date)
+                value = { __date: this[key].toJSON() };
+
+            return value;
+        });
+    }
+
+    function parseCacheData(dataJson)
+    {
+        return JSON.parse(dataJson, function (key, value)
+        {
+            if (value)
+            {
+                if (value.__map)
+                {
+                    const map = new Map(value.__map);
+                    Object.assign(map, value);
+                    return map;
+                }
+                else if (value.__date)
+                {
+                    const date = new Date(value.__date);
+                    Object.assign(date, value);
+                    return date;
+                }
+                return value;
+            }
+        });
+    }
+
+    //#endregion
+
+    //#region Local Signatures
+
+    async function getLocalSignatures(org)
+    {
+        if (!org.fileLocal)
+            return [];
+
+        logger.info("Reading local signatures...");
+        return await org.storage.readLocalSignatures();
+    }
+
+    function signatureFromUpload(user, formData)
+    {
+        const uniqueId = nanoid();
+        const now = new Date().toISOString();
+        const signed = new Date(formData.signedDate).toISOString();
+
+        return {
+            "_id": uniqueId,
+            "created_at": signed,
+            "updated_at": now,
+            "custom_fields": customFieldsFromUpload(formData),
+            "gist_url": encodeURIComponent(formData.fileName),
+            "gist_filename": formData.fileOriginalName || formData.fileName,
+            "file_sha256": formData.fileHash,
+            "origin": "local|" + user,
+            "user": formData.signerEmail || ''
+        };
+    }
+
+    function corporateSignatureFromUpload(user, formData)
+    {
+        const signature = signatureFromUpload(user, formData);
+
+        signature.custom_fields =
+        {
+            "name": formData.signerName || '',
+            "email": formData.signerEmail || '',
+            "company": formData.company || '',
+            "category": "Corporate Contributor License Agreement"
+        };
+        signature.user = formData.company || '';
+        signature.type = "corporate";
+        signature.covered_users = splitList(formData.coveredUsers);
+        signature.covered_domains = splitList(formData.coveredDomains).map(normalizeDomain);
+
+        return signature;
+    }
+
+    // Creates a copy of a local signature with corrected fields (fields missing in formData are kept)
+    // Invalid fields throw RangeError
+    function signatureFromUpdate(signature, formData)
+    {
+        if (formData.signedDate !== undefined && isNaN(Date.parse(formData.signedDate)))
+            throw new RangeError("Signed date is invalid.");
+
+        if (isCorporateSignature(signature))
+            return corporateSignatureFromUpdate(signature, formData);
+
+        const current = signature.custom_fields || {};
+        const merged =
+        {
+            signerName: formData.signerName ?? current.name,
+            signerEmail: formData.signerEmail ?? current.email,
+            signerEmployer: formData.signerEmployer ?? current.employer,
+            signedDate: formData.signedDate ?? signature.created_at
+        };
+
+        if (!merged.signerName)
+            throw new RangeError("Name is required.");
+        if (!merged.signerEmail)
+            throw new RangeError("E-mail is required.");
+
+        return {
+            ...signature,
+            "created_at": new Date(merged.signedDate).toISOString(),
+            "updated_at": new Date().toISOString(),
+            "custom_fields": { ...current, ...customFieldsFromUpload(merged) },
+            "user": merged.signerEmail
+        };
+    }
+
+    function corporateSignatureFromUpdate(signature, formData)
+    {
+        const current = signature.custom_fields || {};
+        const updated =
+        {
+            ...signature,
+            "created_at": new Date(formData.signedDate ?? signature.created_at).toISOString(),
+            "updated_at": new Date().toISOString(),
+            "custom_fields":
+            {
+                ...current,
+                "name": formData.signerName ?? current.name,
+                "email": formData.signerEmail ?? current.email,
+                "company": formData.company ?? current.company
+            },
+            "covered_users": formData.coveredUsers !== undefined ? splitList(formData.coveredUsers) : signature.covered_users,
+            "covered_domains": formData.coveredDomains !== undefined ? splitList(formData.coveredDomains).map(normalizeDomain) : signature.covered_domains
+        };
+        updated.user = updated.custom_fields.company;
+
+        if (!updated.custom_fields.name)
+            throw new RangeError("Name is required.");
+        if (!updated.custom_fields.email)
+            throw new RangeError("E-mail is required.");
+        if (!updated.custom_fields.company)
+            throw new RangeError("Company is required.");
+        if (!updated.covered_users.length && !updated.covered_domains.length)
+            throw new RangeError("Covered users or domains are required.");
+
+        return updated;
+    }
+
+    function customFieldsFromUpload(formData)
+    {
+        const employer = formData.signerEmployer?.trim() || '';
+        const isEmployed = employer && employer.toLowerCase() !== 'none';
+
+        const category = isEmployed
+            ? "(c) I am contributing as an individual because, even though I am employed, my employer has and claims no rights to my contributions."
+            : "(b) I am contributing as an individual because I am self-employed or unemployed. I have read and agree to the CLA.";
+
+        return {
+            "name": formData.signerName || '',
+            "email": formData.signerEmail || '',
+            "employer": employer || "none",
+            "category": category
+        };
+    }
+
+    async function writeLocalSignature(org, signature)
+    {
+        await org.storage.writeLocalSignature(signature);
+        return signature;
+    }
+
+    // Delete a local signature including its uploaded file
+    async function deleteLocalSignature(org, signature)
+    {
+        await org.storage.deleteLocalSignature(signature);
+
+        try
+        {
+            await fs.unlink(path.join(org.dirUploads, path.basename(decodeURIComponent(signature.gist_url))));
+        }
+        catch (ex)
+        {
+            logger.warn(`Failed to delete uploaded file of signature ${signature._id}`, { error: ex });
+        }
+    }
+
+    // Corporate signatures cover listed GitHub users and e-mail domains instead of the signing user
+    function isCorporateSignature(signature)
+    {
+        return signature?.type == "corporate";
+    }
+
+    // Signatures uploaded to CLA_FILELOCAL (as opposed to those from CLA assistant which are read-only)
+    function isLocalSignature(signature)
+    {
+        return signature?.origin?.startsWith("local|") ?? false;
+    }
+
+    //#endregion
+
+    //#region Storage
+
+    // Storage keeps the cache and local signatures of an organization, either in files (CLA_FILECACHE and CLA_FILELOCAL)
+    // or in a SQLite database (CLA_STORAGE=sqlite:path). All backends provide:
+    //    caching                          whether the cache is enabled
+    //    readCache()                      returns { gist, signatures } of the last successful reload, throws if there is none
+    //    writeCache(gist, signatures)
+    //    readLocalSignatures()            returns an array of local signatures
+    //    writeLocalSignature(signature)   adds or replaces a local signature (by _id)
+    //    deleteLocalSignature(signature)
+    function createStorage(org)
+    {
+        return globalDatabase ? createSqliteStorage(org, globalDatabase) : createFileStorage(org);
+    }
+
+    // Cache as gist.json and signatures.json in CLA_FILECACHE, local signatures as one file each in CLA_FILELOCAL
+    function createFileStorage(org)
+    {
+        return {
+            name: "file",
+            caching: !!org.fileCache,
+
+            async readCache()
+            {
+                const gist = await readCacheFile(org.fileGist);
+                const signatures = await readCacheFile(org.fileSignatures);
+                return { gist, signatures };
+            },
+
+            async writeCache(gist, signatures)
+            {
+                await writeCacheFile(org.fileGist, gist);
+                await writeCacheFile(org.fileSignatures, signatures);
+            },
+
+            async readLocalSignatures()
+            {
+                const promises = [];
+                const signatures = [];
+                for (const directory of [org.dirSignees, org.dirCorporate])
+                {
+                    const files = await fs.readdir(directory);
+                    for (const file of files)
+                    {
+                        const filePath = path.join(directory, file);
+                        const promise = fs.readFile(filePath, { encoding: 'utf8' });
+                        promise
+                            .then(function (data)
+                            {
+                                const signature = JSON.parse(data);
+                                signatures.push(signature);
+                            })
+                            .catch(function (error)
+                            {
+                                logger.warn(`Skipping failed to read signature file: ${file}`, { error });
+                            });
+
+                        promises.push(promise);
+                    }
+                }
+
+                await Promise.allSettled(promises);
+                return signatures;
+            },
+
+            async writeLocalSignature(signature)
+            {
+                await writeFileAtomic(getLocalSignaturePath(org, signature), JSON.stringify(signature));
+            },
+
+            async deleteLocalSignature(signature)
+            {
+                await fs.unlink(getLocalSignaturePath(org, signature));
+            }
+        };
+    }
+
+    function getLocalSignaturePath(org, signature)
+    {
+        const directory = isCorporateSignature(signature) ? org.dirCorporate : org.dirSignees;
+        return path.join(directory, `${signature.gist_url}.json`);
+    }
+
+    async function writeCacheFile(path, data)
+    {
+        await writeFileAtomic(path, serializeCacheData(data));
+    }
+
+    async function readCacheFile(path)
+    {
+        return parseCacheData(await fs.readFile(path, { encoding: 'utf8' }));
+    }
+
+    // Write into a temporary file first so that readers never see a partially written file
+    async function writeFileAtomic(filePath, data)
+    {
+        const temporary = `${filePath}.${nanoid()}.tmp`;
+        try
+        {
+            await fs.writeFile(temporary, data);
+            await fs.rename(temporary, filePath);
+        }
+        catch (ex)
+        {
+            await fs.rm(temporary, { force: true });
+            throw ex;
+        }
+    }
+
+    // Cache and local signatures of all organizations in one database, rows are keyed by the organization name
+    function createSqliteStorage(org, database)
+    {
+        return {
+            name: "sqlite",
+            caching: true,
+
+            async readCache()
+            {
+                const rows = database.prepare("SELECT name, data FROM cache WHERE organization = ?").all(org.name);
+                const cache = Object.fromEntries(rows.map(r => [r.name, parseCacheData(r.data)]));
+                if (!cache.gist || !cache.signatures)
+                    throw new Error(`No cached data of ${org.name} in the database.`);
+
+                return { gist: cache.gist, signatures: cache.signatures };
+            },
+
+            async writeCache(gist, signatures)
+            {
+                const insert = database.prepare("INSERT OR REPLACE INTO cache (organization, name, data) VALUES (?, ?, ?)");
+                inTransaction(database, () =>
+                {
+                    insert.run(org.name, "gist", serializeCacheData(gist));
+                    insert.run(org.name, "signatures", serializeCacheData(signatures));
+                });
+            },
+
+            async readLocalSignatures()
+            {
+                const rows = database.prepare("SELECT id, data FROM local_signatures WHERE organization = ?").all(org.name);
+                const signatures = [];
+                for (const row of rows)
+                    try
+                    {
+                        signatures.push(JSON.parse(row.data));
+                    }
+                    catch (error)
+                    {
+                        logger.warn(`Skipping failed to read signature: ${row.id}`, { error });
+                    }
+
+                return signatures;
+            },
+
+            async writeLocalSignature(signature)
+            {
+                database.prepare("INSERT OR REPLACE INTO local_signatures (organization, id, data) VALUES (?, ?, ?)")
+                    .run(org.name, signature._id, JSON.stringify(signature));
+            },
+
+            async deleteLocalSignature(signature)
+            {
+                const result = database.prepare("DELETE FROM local_signatures WHERE organization = ? AND id = ?").run(org.name, signature._id);
+                if (result.changes < 1)
+                    throw new Error(`Signature ${signature._id} not found in the database.`);
+            }
+        };
+    }
+
+    // Open the SQLite database and create its tables, WAL mode allows other processes to read while writing
+    async function openDatabase(databasePath)
+    {
+        // node:sqlite is experimental and warns when loaded, so it is only loaded when configured
+        const { DatabaseSync } = await import('node:sqlite');
+
+        const directory = path.dirname(databasePath);
+        if (directory)
+            await fs.mkdir(directory, { recursive: true });
+
+        const database = new DatabaseSync(databasePath);
+        database.exec(`
+            PRAGMA journal_mode = WAL;
+            PRAGMA busy_timeout = 5000;
+            CREATE TABLE IF NOT EXISTS cache (organization TEXT NOT NULL, name TEXT NOT NULL, data TEXT NOT NULL, PRIMARY KEY (organization, name));
+            CREATE TABLE IF NOT EXISTS local_signatures (organization TEXT NOT NULL, id TEXT NOT NULL, data TEXT NOT NULL, PRIMARY KEY (organization, id));
+        `);
+
+        return database;
+    }
+
+    function inTransaction(database, action)
+    {
+        database.exec("BEGIN");
+        try
+        {
+            action();
+            database.exec("COMMIT");
+        }
+        catch (ex)
+        {
+            database.exec("ROLLBACK");
+            throw ex;
+        }
+    }
+
+    // Import cache files and local signature files of all organizations into the database (CLA_STORAGE=sqlite:path)
+    // The files are left in place, importing again replaces the imported rows
+    async function migrateStorage()
+    {
+        if (!globalDatabase)
+            throw new Error("CLA_STORAGE must be set to sqlite:path to migrate into a database.");
+
+        for (const org of globalOrganizations.values())
+        {
+            const files = createFileStorage(org);
+
+            if (files.caching)
+                try
+                {
+                    const { gist, signatures } = await files.readCache();
+                    await org.storage.writeCache(gist, signatures);
+                    logger.info(`Migrated cache of ${org.name} with ${signatures.size} signatures.`);
+                }
+                catch (ex)
+                {
+                    logger.warn(`No cache files of ${org.name} to migrate.`, { error: ex });
+                }
+
+            if (org.fileLocal)
+            {
+                const signatures = await files.readLocalSignatures();
+                for (const signature of signatures)
+                    await org.storage.writeLocalSignature(signature);
+                logger.info(`Migrated ${signatures.length} local signatures of ${org.name}.`);
+            }
+        }
+    }
+
+    // A running instance keeps state of the audit log, webhook queue and local signatures in memory, it marks their
+    // directories by a lock file with its process id so that offline tools (see cli.mjs) do not change them meanwhile
+    function getLockFiles()
+    {
+        const directories = [CLA_AUDITLOG, CLA_WEBHOOK_QUEUE, ...[...globalOrganizations.values()].map(org => org.fileLocal)];
+        return [...new Set(directories.filter(Boolean))].map(directory => path.join(directory, "cla-dwight.pid"));
+    }
+
+    // Write the lock files, they are removed when the process exits (lock files of processes not running are ignored)
+    async function lockStateDirectories()
+    {
+        const lockFiles = getLockFiles();
+        for (const lockFile of lockFiles)
+            await fs.writeFile(lockFile, String(process.pid));
+
+        process.once("exit", () =>
+        {
+            for (const lockFile of lockFiles)
+            {
+                try
+                {
+                    if (readFileSync(lockFile, { encoding: 'utf8' }) == String(process.pid))
+                        unlinkSync(lockFile);
+                }
+                catch
+                {
+                    // already removed
+                }
+            }
+        });
+    }
+
+    // Throws if another running process holds a lock file (see lockStateDirectories)
+    async function checkStateDirectoriesUnlocked()
+    {
+        for (const lockFile of getLockFiles())
+        {
+            let pid;
+            try
+            {
+                pid = Number(await fs.readFile(lockFile, { encoding: 'utf8' }));
+            }
+            catch (ex)
+            {
+                if (ex.code == "ENOENT")
+                    continue;
+                throw ex;
+            }
+
+            if (pid != process.pid && isProcessRunning(pid))
+                throw new Error(`CLA-dwight is running (process ${pid}) using ${path.dirname(lockFile)}, make changes through it or stop it first (remove ${lockFile} if it is not CLA-dwight).`);
+        }
+    }
+
+    //#endregion
+
+    //#region Web Server
+
+    // HTML form file storage with filename override
+    const storage = multer.diskStorage(
+        {
+            destination: function (req, file, cb)
+            {
+                cb(/*err*/ null, req.org.dirUploads);
+            },
+            filename: function (req, file, cb)
+            {
+                cb(/*err*/ null, nanoid());
+            }
+        });
+    var upload = null; // multer instances with the configured limits (see createUploads)
+    var importUpload = null;
+
+    function createUploads()
+    {
+        upload = multer(
+            {
+                storage,
+                limits: { fileSize: CLA_UPLOAD_MAX_SIZE, files: 1 },
+                fileFilter: function (req, file, cb)
+                {
+                    cb(/*err*/ null, !!req.org.fileLocal && !needsAuthorization(req, "sign"));
+                }
+            });
+
+        // bulk imports take a CSV manifest and a ZIP archive
+        importUpload = multer(
+            {
+                storage,
+                limits: { fileSize: CLA_IMPORT_MAX_SIZE, files: 2 },
+                fileFilter: function (req, file, cb)
+                {
+                    cb(/*err*/ null, !!req.org.fileLocal && !needsAuthorization(req, "sign"));
+                }
+            });
+    }
+
+    // Receive a single uploaded file, upload errors (e.g. exceeded size) are reported by the route in request.uploadError
+    function receiveUpload(field)
+    {
+        return (request, response, next) => upload.single(field)(request, response, error =>
+        {
+            if (error instanceof multer.MulterError)
+            {
+                request.uploadError = error.code == "LIMIT_FILE_SIZE"
+                    ? `ERROR: CLA file is larger than ${CLA_UPLOAD_MAX_SIZE} bytes.`
+                    : "ERROR: " + error.message;
+                return next();
+            }
+
+            next(error);
+        });
+    }
+
+    // Receive the files of a bulk import, upload errors are reported by the route in request.importError { status, message }
+    function receiveImport(fields)
+    {
+        return (request, response, next) => importUpload.fields(fields)(request, response, error =>
+        {
+            if (error instanceof multer.MulterError)
+            {
+                request.importError = error.code == "LIMIT_FILE_SIZE"
+                    ? { status: 413, message: `ERROR: Manifest or archive is larger than ${CLA_IMPORT_MAX_SIZE} bytes.` }
+                    : { status: 400, message: "ERROR: " + error.message };
+                return next();
+            }
+
+            next(error);
+        });
+    }
+
+    // report age of the data and whether it is being reloaded (set when headers are written, i.e. after any reload)
+    router.use((request, response, next) =>
+    {
+        const writeHead = response.writeHead;
+        response.writeHead = function ()
+        {
+            const timestamp = request.org.signees?.timestamp;
+            if (timestamp && !response.headersSent)
+            {
+                response.setHeader("X-CLA-Data-Timestamp", timestamp.toISOString());
+                response.setHeader("X-CLA-Data-Age", Math.max(0, Math.floor((new Date() - timestamp) / 1000)));
+            }
+            response.setHeader("X-CLA-Refresh-Pending", request.org.reloadPromise ? "true" : "false");
+            return writeHead.apply(this, arguments);
+        };
+        next();
+    });
+
+    // authenticate all requests, routes check the required scopes using needsAuthorization
+    router.use(async (request, response, next) =>
+    {
+        request.auth = await authenticate(request);
+        next();
+    });
+
+    // allow ?format= to override the Accept header (e.g. for downloading CSV in a browser)
+    router.use((request, response, next) =>
+    {
+        const type = { csv: "text/csv", json: "application/json", xml: "application/xml", html: "text/html", text: "text/plain" }[request.query.format];
+        if (type)
+            request.headers.accept = type;
+        next();
+    });
+
+    // data of an organization in error state are not available
+    router.use(["/list", "/check", "/webhook", "/diff", "/import"], (request, response, next) =>
+    {
+        if (request.org.error)
+            response.status(503).end();
+        else
+            next();
+    });
+
+    router.get('/status', async (request, response) =>
+    {
+        const org = request.org;
+        if (request.query.verbose !== undefined && request.query.verbose != "false")
+        {
+            if (needsAuthorization(request, "admin"))
+                return denyAuthorization(request, response);
+
+            const check = await getSelfCheck(org);
+            response.status(org.error ? 503 : 200);
+            return response.format({
+                json() { response.send(check); },
+                xml() { response.send(xml.create({ status: check }).end({ allowEmptyTags: true })); },
+                default() { this.json(); }
+            });
+        }
+
+        if (org.error)
+            return response.status(503).send(org.error.message);
+
+        const reload = org.reloadStats && { ...org.reloadStats, timestamp: org.reloadStats.timestamp.toISOString() };
+        const status = { status: "OK", reload, assistant: { breaker: getBreakerStatus() } };
+
+        response.status(200);
+        response.format({
+            text() { response.send("OK"); },
+            html() { this.text(); },
+            xml() { response.send(xml.create({ status }).end()); },
+            json() { response.send(status); },
+            default() { this.text(); }
+        });
+    });
+
+    // serve uploaded files statically with authentication
+    if (LOCALBASE)
+        router.get(LOCALBASE + "/:filename", async (request, response) =>
+        {
+            if (!request.org.fileLocal)
+                return response.status(404).send("Not found");
+
+            if (needsAuthorization(request, "read"))
+            {
+                return denyAuthorization(request, response);
+            }
+            try
+            {
+                const filename = path.basename(request.params.filename);
+                const localPath = path.join(request.org.dirUploads, filename);
+                const friendlyName = "CLA " + filename.split("#")[0] + path.extname(filename);
+                response.download(localPath, friendlyName)
+            }
+            catch (ex)
+            {
+                logger.error(ex);
+                response.status(400);
+            }
+        });
+
+    // the audit log responds 404 unless CLA_AUDITLOG is set
+    router.use('/audit', (request, response, next) =>
+    {
+        if (!CLA_AUDITLOG)
+            response.status(404).send("Not found");
+        else
+            next();
+    });
+
+    router.get('/audit', async (request, response) =>
+    {
+        if (needsAuthorization(request, "admin"))
+            return denyAuthorization(request, response);
+
+        const { from, to, user, id, action } = request.query;
+        let fromDate, toDate;
+        try
+        {
+            fromDate = parseDateParam(from, /*endOfDay*/ false);
+            toDate = parseDateParam(to, /*endOfDay*/ true);
+        }
+        catch (ex)
+        {
+            return response.status(400).send(ex.message);
+        }
+
+        await globalAuditQueue;
+        const entries = await readAuditLog();
+        const broken = verifyAuditLog(entries);
+
+        // entries without organization are from before multiple organizations were supported
+        const filtered = entries.filter(e =>
+            (e.details?.organization ?? getDefaultOrganization().name) == request.org.name &&
+            (!fromDate || e.timestamp >= fromDate) &&
+            (!toDate || e.timestamp <= toDate) &&
+            (!user || e.user == user) &&
+            (!id || e.id == id || e.details?.added?.includes(id) || e.details?.revoked?.includes(id) || e.details?.removed?.includes(id)) &&
+            (!action || e.action == action));
+
+        const verified = !broken;
+        if (broken)
+            logger.warn(`Audit log hash chain is broken at entry ${broken.seq}.`);
+
+        response.status(200);
+        response.set("X-Audit-Verified", String(verified));
+        response.format({
+            json() { response.send({ verified, brokenAt: broken?.seq ?? null, entries: filtered }); },
+            xml()
+            {
+                const root = { audit: { '@verified': verified, '@brokenAt': broken?.seq, entry: filtered } };
+                response.send(xml.create(root).end({ allowEmptyTags: true }));
+            },
+            text() { response.send(filtered.map(e => JSON.stringify(e)).join("\n")); },
+            default() { this.json(); }
+        });
+    });
+
+    // snapshot routes respond 404 for organizations without snapshots
+    router.use(["/snapshots", "/diff"], (request, response, next) =>
+    {
+        if (!request.org.snapshots)
+            response.status(404).send("Not found");
+        else
+            next();
+    });
+
+    router.get('/snapshots', async (request, response) =>
+    {
+        if (needsAuthorization(request, "read"))
+            return denyAuthorization(request, response);
+
+        const snapshots = await listSnapshots(request.org);
+
+        response.status(200);
+        response.format({
+            json() { response.send(snapshots); },
+            xml() { response.send(xml.create({ snapshots: { snapshot: snapshots } }).end({ allowEmptyTags: true })); },
+            text() { response.send(snapshots.map(s => s.id).join("\n")); },
+            default() { this.json(); }
+        });
+    });
+
+    router.get('/diff', async (request, response) =>
+    {
+        if (needsAuthorization(request, "read"))
+            return denyAuthorization(request, response);
+
+        if (!request.query.from)
+            return response.status(400).send("Missing from parameter.");
+
+        let from, to;
+        try
+        {
+            from = await findSnapshot(request.org, request.query.from, /*endOfDay*/ false);
+            to = request.query.to ? await findSnapshot(request.org, request.query.to, /*endOfDay*/ true) : null;
+        }
+        catch (ex)
+        {
+            return response.status(400).send(ex.message);
+        }
+
+        if (!from || (request.query.to && !to))
+            return response.status(404).send("No snapshot found.");
+
+        const previous = await readSnapshot(request.org, from);
+        const current = to ? await readSnapshot(request.org, to) : request.org.signatures;
+        const diff = diffSignatures(previous, current);
+
+        // remove private fields if not authorized
+        if (CLA_AUTH_FIELDS && needsAuthorization(request, "read-private-fields"))
+            for (const key in diff)
+                diff[key] = diff[key].map(removeAuthFields);
+
+        const result =
+        {
+            from,
+            to: to ?? { id: null, timestamp: request.org.signees.timestamp.toISOString() },
+            ...diff
+        };
+
+        response.status(200);
+        response.format({
+            html()
+            {
+                const signatures = Object.values(diff).flat();
+                response.render(path.join(VIEWS, "diff.pug"), { ...result, pretty: true, fields: collectCustomFields(signatures) });
+            },
+            json() { response.send(result); },
+            xml()
+            {
+                const root =
+                {
+                    diff:
+                    {
+                        '@from': from.timestamp,
+                        '@to': result.to.timestamp,
+                        added: { signature: diff.added },
+                        revoked: { signature: diff.revoked },
+                        updated: { signature: diff.updated },
+                        removed: { signature: diff.removed }
+                    }
+                };
+                response.send(xml.create(root).end({ allowEmptyTags: true }));
+            },
+            default() { this.json(); }
+        });
+    });
+
+    router.get('/reload', async (request, response) =>
+    {
+        // full reloads request every CLA version, which may exhaust the rate limit of CLA-assistant
+        if (request.query.full == "true" && needsAuthorization(request, "admin"))
+            return denyAuthorization(request, response);
+
+        try
+        {
+            await globalReload(request.org, /*ignoreErrors*/ false, /*disableCache*/ true, /*fullReload*/ request.query.full == "true");
+            response.status(200).send("OK");
+        }
+        catch (error)
+        {
+            logger.error(error);
+            response.status(500).send("ERROR");
+        }
+    });
+
+    router.get('/get/:id', async (request, response) =>
+    {
+        await reloadIfRequested(request);
+
+        const org = request.org;
+        let signature = org.signatures.get(request.params.id);
+
+        if (!signature)
+        {
+            response.status(404).send("Not found");
+            return;
+        }
+
+        // remove private fields if not authorized
+        if (CLA_AUTH_FIELDS && needsAuthorization(request, "read-private-fields"))
+            signature = removeAuthFields(signature);
+
+        if (request.query.at)
+            return sendCoverageAt(request, response, { id: signature._id }, [signature]);
+
+        response.status(200);
+        response.format({
+            text()
+            {
+                // if not requesting full signature data, we only return whether a valid CLA is in place
+                if (signature.revoked_at)
+                    response.status(410).send("Revoked");
+                else if (getSignatureStatus([signature], org.gist) == "outdated")
+                    sendOutdated(response, getVersions([signature], org.gist));
+                else
+                    response.send("OK");
+            },
+            html() { this.text(); },
+            xml()
+            {
+                response.send(xml.create({ signature }).end());
+            },
+            json() { response.send(signature); },
+            default() { this.text(); }
+        });
+    });
+
+    router.get('/list/:username', async (request, response) =>
+    {
+        await reloadIfRequested(request);
+
+        const org = request.org;
+        const signees = org.signees;
+        let signatures = findUserSignatures(org, request.params.username);
+
+        if (!signatures || signatures.length < 1)
+        {
+            response.status(404).send("Not found");
+            return;
+        }
+
+        // remove private fields if not authorized
+        if (CLA_AUTH_FIELDS && needsAuthorization(request, "read-private-fields"))
+        {
+            signatures = Array.from(signatures);
+            for (let i = 0; i < signatures.length; i++)
+                signatures[i] = removeAuthFields(signatures[i]);
+        }
+
+        if (request.query.at)
+            return sendCoverageAt(request, response, { user: request.params.username }, signatures);
+
+        response.status(200);
+        response.format({
+            text()
+            {
+                // if not requesting full signature data, we only return whether a valid CLA is in place
+                // the list is already ordered using signatureComparer, so first is most recent
+
+                const status = getSignatureStatus(signatures, org.gist);
+                if (status == "revoked")
+                    response.status(410).send("Revoked");
+                else if (status == "outdated")
+                    sendOutdated(response, getVersions(signatures, org.gist));
+                else
+                    response.send("OK");
+            },
+            html() { this.text(); },
+            xml()
+            {
+                const root = { signatures: { '@timestamp': signees.timestamp.toISOString(), signature: signatures } };
+                response.send(xml.create(root).end());
+            },
+            json() { response.send(signatures); },
+            csv()
+            {
+                let filtered;
+                try
+                {
+                    filtered = filterSignatures(signatures, request.query);
+                }
+                catch (ex)
+                {
+                    return response.status(400).send(ex.message);
+                }
+
+                sendCsv(response, request.params.username + ".csv", filtered);
+            },
+            default() { this.text(); }
+        });
+    });
+
+    // Respond that the user signed only CLA versions not accepted by CLA_VERSION_POLICY (versions as from getVersions)
+    function sendOutdated(response, { signedVersions, requiredVersions })
+    {
+        response.set("X-CLA-Signed-Versions", signedVersions.join(" "));
+        response.set("X-CLA-Required-Versions", requiredVersions.join(" "));
+        response.status(409).send("Outdated");
+    }
+
+    // Respond whether signatures covered the user at the time given by ?at=
+    // Text responses only report the status (same as without ?at=), json and xml also the covering signature or the reason
+    function sendCoverageAt(request, response, subject, signatures)
+    {
+        let at;
+        try
+        {
+            at = parseDateParam(request.query.at, /*endOfDay*/ false);
+        }
+        catch (ex)
+        {
+            return response.status(400).send(ex.message);
+        }
+
+        const coverage = { ...subject, at, ...getSignatureStatusAt(signatures, new Date(at), request.org.gist) };
+
+        response.status(200);
+        response.format({
+            text()
+            {
+                if (coverage.status == "signed")
+                    response.send("OK");
+                else if (coverage.status == "revoked")
+                    response.status(410).send("Revoked");
+                else if (coverage.status == "outdated")
+                    sendOutdated(response, coverage);
+                else
+                    response.status(404).send("Not found");
+            },
+            html() { this.text(); },
+            xml() { response.send(xml.create({ coverage }).end({ allowEmptyTags: true })); },
+            json() { response.send(coverage); },
+            default() { this.text(); }
+        });
+    }
+
+    router.post('/check', async (request, response) =>
+    {
+        // accepts JSON array, { users: [] } or space/comma separated users form field
+        let identifiers = Array.isArray(request.body) ? request.body : request.body?.users;
+        if (typeof identifiers == "string")
+            identifiers = identifiers.split(/[\s,]+/);
+
+        if (!Array.isArray(identifiers) || identifiers.some(i => typeof i != "string"))
+        {
+            response.status(400).send("Expected a list of users.");
+            return;
+        }
+
+        await reloadIfRequested(request);
+
+        const org = request.org;
+        const signees = org.signees;
+        const censor = CLA_AUTH_FIELDS && needsAuthorization(request, "read-private-fields");
+
+        const results = [];
+        for (const identifier of new Set(identifiers.map(i => i.trim()).filter(i => i)))
+        {
+            const result = checkUser(org, identifier);
+
+            // remove private fields if not authorized
+            if (censor)
+                result.signatures = result.signatures.map(removeAuthFields);
+
+            results.push(result);
+        }
+
+        response.status(200);
+        response.format({
+            json() { response.send(results); },
+            xml()
+            {
+                const root = { results: { '@timestamp': signees.timestamp.toISOString(), result: results.map(r => ({ '@user': r.user, '@status': r.status, id: r.ids, signedVersion: r.signedVersions, requiredVersion: r.requiredVersions, signature: r.signatures })) } };
+                response.send(xml.create(root).end());
+            },
+            text()
+            {
+                response.send(results.map(r => `${r.user} ${r.status}`).join("\n"));
+            },
+            default() { this.json(); }
+        });
+    });
+
+    // CLA status of a GitHub username or a custom lookup field value with the matching signatures
+    // { user, status (signed, revoked, outdated, missing), ids[], signedVersions[] and requiredVersions[] if outdated, signatures[] }
+    function checkUser(org, identifier)
+    {
+        const signatures = findUserSignatures(org, identifier) || [];
+        const status = getSignatureStatus(signatures, org.gist);
+        return {
+            user: identifier,
+            status,
+            ids: signatures.map(s => s._id),
+            ...(status == "outdated" ? getVersions(signatures, org.gist) : undefined),
+            signatures
+        };
+    }
+
+    // the webhook responds 404 unless GITHUB_WEBHOOK_SECRET and GITHUB_STATUS_TOKEN are set
+    router.use('/webhook', (request, response, next) =>
+    {
+        if (!GITHUB_WEBHOOK_SECRET || !GITHUB_STATUS_TOKEN)
+            response.status(404).send("Not found");
+        else
+            next();
+    });
+
+    // receive pull request events from GitHub and post CLA commit statuses
+    router.post('/webhook', async (request, response) =>
+    {
+        if (!verifyWebhookSignature(request))
+            return response.status(401).send("Invalid signature");
+
+        const event = request.get("X-GitHub-Event");
+        if (event == "ping")
+            return response.status(200).send("pong");
+
+        let payload = request.body;
+        if (request.is("urlencoded"))
+        {
+            try
+            {
+                payload = JSON.parse(request.body.payload);
+            }
+            catch
+            {
+                return response.status(400).send("Invalid payload");
+            }
+        }
+
+        if (event != "pull_request" || !["opened", "reopened", "synchronize"].includes(payload?.action))
+            return response.status(204).end();
+
+        try
+        {
+            await reloadIfRequested(request);
+
+            const repository = payload.repository.full_name;
+            const sha = payload.pull_request.head.sha;
+            const authors = await getPullRequestAuthors(repository, payload.pull_request.number);
+
+            const org = request.org;
+            const results = authors.map(author =>
+            ({
+                user: author,
+                status: getSignatureStatus(findUserSignatures(org, author), org.gist)
+            }));
+
+            const unsigned = results.filter(r => r.status != "signed");
+            const state = unsigned.length > 0 ? "failure" : "success";
+            const description = unsigned.length > 0
+                ? "CLA missing, revoked or outdated: " + unsigned.map(r => r.user).join(", ")
+                : "All commit authors have signed the CLA.";
+
+            await postCommitStatus(repository, sha, state, description, org.gist?.url);
+            response.status(200).send({ state, results });
+        }
+        catch (ex)
+        {
+            logger.error(ex);
+            response.status(502).send("ERROR");
+        }
+    });
+
+    // revoke, correct or delete local signatures
+    router.post('/local/:id/:action', async (request, response) =>
+    {
+        const org = request.org;
+        if (!org.fileLocal)
+            return response.status(404).send("Not found");
+
+        if (needsAuthorization(request, "sign"))
+        {
+            return denyAuthorization(request, response);
+        }
+
+        const signature = org.signatures?.get(request.params.id);
+        if (!signature)
+            return sendLocalActionResult(request, response, 404, "not-found");
+
+        if (!isLocalSignature(signature))
+            return sendLocalActionResult(request, response, 403, "read-only");
+
+        const body = request.body || {};
+        try
+        {
+            switch (request.params.action)
+            {
+                case "revoke":
+                    {
+                        const revoked = await revokeLocalSignature(org, getUserName(request), signature, body["revoked"]);
+                        return sendLocalActionResult(request, response, 200, "revoked", revoked);
+                    }
+                case "update":
+                    {
+                        const updated = signatureFromUpdate(signature,
+                            {
+                                signerName: body["name"],
+                                signerEmail: body["email"],
+                                signerEmployer: body["employer"],
+                                signedDate: body["signed"] || undefined,
+                                company: body["company"],
+                                coveredUsers: body["users"],
+                                coveredDomains: body["domains"]
+                            });
+                        await replaceLocalSignature(org, signature, updated);
+                        audit("signature.update", getUserName(request), signature._id, { organization: org.name, previous: signature, signature: updated });
+                        notifySignatureChanges(org, { updated: [updated] });
+                        return sendLocalActionResult(request, response, 200, "updated", updated);
+                    }
+                case "delete":
+                    await deleteLocalSignature(org, signature);
+                    removeLocalSignature(org.signatures, org.signees, org.lookups, signature);
+                    audit("signature.delete", getUserName(request), signature._id, { organization: org.name, previous: signature });
+                    return sendLocalActionResult(request, response, 200, "deleted");
+
+                default:
+                    return sendLocalActionResult(request, response, 404, "unknown-action");
+            }
+        }
+        catch (ex)
+        {
+            // invalid form fields are rejected, other failures (e.g. of the storage) are not the client's fault
+            if (!(ex instanceof RangeError))
+            {
+                logger.error(ex);
+                return sendLocalActionResult(request, response, 500, "failed");
+            }
+
+            logger.warn(`Local signature ${request.params.action} rejected: ${ex.message}`, { organization: org.name, id: signature._id });
+            const message = "ERROR: " + ex.message;
+            const result = Object.keys(LOCAL_ACTION_RESULTS).find(key => LOCAL_ACTION_RESULTS[key] == message) ?? "failed";
+            return sendLocalActionResult(request, response, 400, result, /*signature*/ null, message);
+        }
+    });
+
+    // Check the fields of an uploaded signature (see signatureFromUpload), returns error message if any
+    function validateUploadForm(formData, isCorporate)
+    {
+        if (!formData.signerName)
+            return "ERROR: Name is required.";
+        if (!formData.signerEmail)
+            return "ERROR: E-mail is required.";
+        if (!formData.signedDate)
+            return "ERROR: Signed date is required.";
+        if (isNaN(Date.parse(formData.signedDate)))
+            return "ERROR: Signed date is invalid.";
+        if (isCorporate && !formData.company)
+            return "ERROR: Company is required.";
+        if (isCorporate && !splitList(formData.coveredUsers).length && !splitList(formData.coveredDomains).length)
+            return "ERROR: Covered users or domains are required.";
+
+        return null;
+    }
+
+    // Check type of an uploaded file by its content and reject duplicates unless overridden, returns error message if any
+    // Sets the file name (from the signer e-mail or company, upload time, random suffix and the detected type) and hash in formData
+    // Signatures to check for duplicates default to those of the organization
+    async function validateUploadFile(org, filePath, formData, isCorporate, override, signatures = org.signatures)
+    {
+        const type = await detectUploadType(filePath);
+        if (!type)
+            return `ERROR: CLA file must be ${CLA_UPLOAD_TYPES.join(", ")}.`;
+
+        const prefix = (isCorporate ? formData.company : formData.signerEmail).replace(/[^\w.@+-]/g, "_");
+        formData.fileName = prefix + "#" + Date.now() + "-" + nanoid(6) + UPLOAD_TYPES[type].extension;
+        formData.fileHash = await hashFile(filePath);
+
+        const duplicate = override ? null : findDuplicateUpload(signatures, formData, isCorporate);
+        if (duplicate)
+            return `ERROR: ${duplicate.reason} (${duplicate.signature._id}). Use override to upload anyway.`;
+
+        return null;
+    }
+
+    // Find the allowed type (see UPLOAD_TYPES) matching the first bytes of the file
+    async function detectUploadType(filePath)
+    {
+        const handle = await fs.open(filePath);
+        try
+        {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(8), 0, 8, 0);
+            return CLA_UPLOAD_TYPES.find(type =>
+                UPLOAD_TYPES[type] &&
+                bytesRead >= UPLOAD_TYPES[type].magic.length &&
+                UPLOAD_TYPES[type].magic.every((byte, i) => buffer[i] == byte)) ?? null;
+        }
+        finally
+        {
+            await handle.close();
+        }
+    }
+
+    async function hashFile(filePath)
+    {
+        const hash = crypto.createHash("sha256");
+        for await (const chunk of createReadStream(filePath))
+            hash.update(chunk);
+
+        return hash.digest("hex");
+    }
+
+    // An upload is a duplicate of any signature with the same file, or of a valid signature by the same e-mail on the same date
+    function findDuplicateUpload(signatures, formData, isCorporate)
+    {
+        const email = formData.signerEmail.toLowerCase();
+        const signed = new Date(formData.signedDate).toISOString().substring(0, 10);
+
+        for (const signature of signatures.values())
+        {
+            if (signature.file_sha256 && signature.file_sha256 == formData.fileHash)
+                return { signature, reason: "The same CLA file has already been uploaded" };
+
+            if (!signature.revoked_at &&
+                isCorporateSignature(signature) == isCorporate &&
+                (signature.custom_fields?.email ?? signature.user ?? "").toLowerCase() == email &&
+                signature.created_at?.substring(0, 10) == signed)
+                return { signature, reason: `A CLA signed by ${formData.signerEmail} on ${signed} already exists` };
+        }
+
+        return null;
+    }
+
+    // import local signatures from a CSV manifest with a row per signature and a ZIP archive with their files
+    router.post('/import', receiveImport([{ name: "manifest", maxCount: 1 }, { name: "archive", maxCount: 1 }]), async (request, response) =>
+    {
+        const org = request.org;
+        const manifest = request.files?.manifest?.[0];
+        const archive = request.files?.archive?.[0];
+        const received = [manifest, archive].filter(f => f);
+
+        try
+        {
+            if (!org.fileLocal)
+                return response.status(404).send("Not found");
+
+            if (needsAuthorization(request, "sign"))
+                return denyAuthorization(request, response);
+
+            if (request.importError)
+                return response.status(request.importError.status).send(request.importError.message);
+
+            if (!manifest || !archive)
+                return response.status(400).send("ERROR: CSV manifest and ZIP archive are required.");
+
+            const dryRun = (request.query.dryRun ?? request.body?.dryRun) == "true";
+            const result = await importSignatures(request, manifest.path, archive.path, dryRun);
+
+            response.status(result.rows.some(r => r.errors.length) ? 400 : 200);
+            response.format({
+                json() { response.send(result); },
+                xml()
+                {
+                    const root = { import: { '@dryRun': result.dryRun, '@created': result.created, row: result.rows.map(r => ({ '@row': r.row, '@file': r.file, '@status': r.status, error: r.errors, signature: r.signature })) } };
+                    response.send(xml.create(root).end());
+                },
+                text()
+                {
+                    response.send(result.rows.map(r => `${r.row} ${r.status} ${r.file}${r.errors.map(e => "\n    " + e).join("")}`).join("\n"));
+                },
+                default() { this.json(); }
+            });
+        }
+        catch (ex)
+        {
+            logger.error(ex);
+            response.status(400).send("ERROR: " + ex.message);
+        }
+        finally
+        {
+            for (const file of received)
+                await fs.rm(file.path, { force: true });
+        }
+    });
+
+    // Validate all rows of an import manifest (fields as in /list POST and file column with the path in the archive)
+    // and create the signatures only if all rows are valid and it is not a dry run
+    // Returns { dryRun, created, rows: [{ row, file, status (valid, invalid, created), errors[], signature }] }
+    async function importSignatures(request, manifestPath, archivePath, dryRun)
+    {
+        const org = request.org;
+        const records = parseCsv(await fs.readFile(manifestPath, { encoding: 'utf8' }), /*withLines*/ true);
+        if (records.length < 1)
+            throw new Error("The manifest has no rows.");
+
+        const zip = new AdmZip(archivePath);
+        const entries = new Map();
+        for (const entry of zip.getEntries())
+            if (!entry.isDirectory)
+                entries.set(entry.entryName, entry);
+
+        const rows = [];
+        const pending = [];
+        const extracted = [];
+        try
+        {
+            for (const { line, values: record } of records)
+            {
+                // rows are numbered by their line in the manifest
+                const row = { row: line, file: record.file ?? "", status: "valid", errors: [], signature: null };
+                rows.push(row);
+
+                const isCorporate = record.type == "corporate";
+                const formData =
+                {
+                    fileName: null,
+                    fileHash: null,
+                    fileOriginalName: path.basename(row.file),
+                    signerName: record.name,
+                    signerEmail: record.email,
+                    signerEmployer: record.employer,
+                    signedDate: record.signed,
+                    company: record.company,
+                    coveredUsers: record.users,
+                    coveredDomains: record.domains
+                };
+
+                const entry = entries.get(row.file);
+                let error = validateUploadForm(formData, isCorporate);
+                if (!error && !entry)
+                    error = "ERROR: File not found in the archive.";
+                const data = error ? null : readArchiveEntry(entry, CLA_UPLOAD_MAX_SIZE);
+                if (!error && typeof data == "string")
+                    error = data;
+
+                if (!error)
+                {
+                    const filePath = path.join(org.dirUploads, nanoid());
+                    extracted.push(filePath);
+                    await fs.writeFile(filePath, data);
+
+                    // duplicates are also checked against the rows before
+                    const signatures = [...org.signatures.values(), ...pending.map(p => p.signature)];
+                    error = await validateUploadFile(org, filePath, formData, isCorporate, record.override == "true", signatures);
+                    if (!error)
+                    {
+                        row.signature = isCorporate
+                            ? corporateSignatureFromUpload(getUserName(request), formData)
+                            : signatureFromUpload(getUserName(request), formData);
+                        pending.push({ filePath, fileName: formData.fileName, signature: row.signature });
+                    }
+                }
+
+                if (error)
+                {
+                    row.status = "invalid";
+                    row.errors.push(error.replace(/^ERROR: /, ""));
+                }
+            }
+
+            const valid = rows.every(r => !r.errors.length);
+            if (valid && !dryRun)
+            {
+                for (const { filePath, fileName, signature } of pending)
+                {
+                    await fs.rename(filePath, path.join(org.dirUploads, fileName));
+                    await writeLocalSignature(org, signature);
+                    addLocalSignature(org.signatures, org.signees, org.lookups, signature, /*sort*/ true);
+                    audit("signature.upload", getUserName(request), signature._id, { organization: org.name, signature, import: true });
+                }
+
+                for (const row of rows)
+                    row.status = "created";
+
+                if (pending.length)
+                    notifySignatureChanges(org, { added: pending.map(p => p.signature) });
+            }
+
+            return { dryRun, created: valid && !dryRun ? pending.length : 0, rows };
+        }
+        finally
+        {
+            // files that were not moved (dry run, invalid rows or failure) are removed
+            for (const filePath of extracted)
+                await fs.rm(filePath, { force: true });
+        }
+    }
+
+    // Decompress a file of an import archive, returns its content or an error message if it is larger than maxSize bytes
+    // (checked while decompressing, the size in the archive may be wrong) or cannot be read
+    function readArchiveEntry(entry, maxSize)
+    {
+        if (entry.header.encrypted)
+            return "ERROR: Encrypted files are not supported.";
+        if (entry.header.size > maxSize)
+            return `ERROR: CLA file is larger than ${maxSize} bytes.`;
+
+        let data;
+        try
+        {
+            const compressed = entry.getCompressedData();
+            if (entry.header.method == 0)
+                data = compressed;
+            else if (entry.header.method == 8)
+                data = zlib.inflateRawSync(compressed, { maxOutputLength: maxSize + 1 });
+            else
+                return "ERROR: Unsupported compression method in the archive.";
+        }
+        catch (ex)
+        {
+            return ex.code == "ERR_BUFFER_TOO_LARGE" ? `ERROR: CLA file is larger than ${maxSize} bytes.` : "ERROR: Cannot read the file in the archive.";
+        }
+
+        if (data.length > maxSize)
+            return `ERROR: CLA file is larger than ${maxSize} bytes.`;
+        if (data.length != entry.header.size || zlib.crc32(data) != entry.header.crc)
+            return "ERROR: The file in the archive is damaged.";
+
+        return data;
+    }
+
+    // Revoke a local signature at the given time (now by default), returns the revoked signature
+    // An invalid time throws RangeError
+    async function revokeLocalSignature(org, user, signature, revokedAt)
+    {
+        if (revokedAt && isNaN(Date.parse(revokedAt)))
+            throw new RangeError("Revoked date is invalid.");
+
+        const now = new Date().toISOString();
+        const revoked = { ...signature, revoked_at: revokedAt ? new Date(revokedAt).toISOString() : now, updated_at: now };
+        await replaceLocalSignature(org, signature, revoked);
+        audit("signature.revoke", user, signature._id, { organization: org.name, revoked_at: revoked.revoked_at });
+        notifySignatureChanges(org, { revoked: [revoked] });
+        return revoked;
+    }
+
+    // Store a changed local signature and replace it in the organization cache
+    async function replaceLocalSignature(org, signature, changed)
+    {
+        await writeLocalSignature(org, changed);
+        removeLocalSignature(org.signatures, org.signees, org.lookups, signature);
+        addLocalSignature(org.signatures, org.signees, org.lookups, changed, /*sort*/ true);
+    }
+
+    // Messages of local signature action results by key, the list only shows these (see sendLocalActionResult)
+    const LOCAL_ACTION_RESULTS =
+    {
+        "revoked": "CLA revoked succesfully.",
+        "updated": "CLA updated succesfully.",
+        "deleted": "CLA deleted succesfully.",
+        "not-found": "ERROR: Signature not found.",
+        "read-only": "ERROR: Signatures from CLA assistant are read-only.",
+        "unknown-action": "ERROR: Unknown action.",
+        "name-required": "ERROR: Name is required.",
+        "email-required": "ERROR: E-mail is required.",
+        "company-required": "ERROR: Company is required.",
+        "coverage-required": "ERROR: Covered users or domains are required.",
+        "signed-invalid": "ERROR: Signed date is invalid.",
+        "revoked-invalid": "ERROR: Revoked date is invalid.",
+        "failed": "ERROR: The CLA could not be changed."
+    };
+
+    // HTML forms are redirected back to the list with ?result= (a key of LOCAL_ACTION_RESULTS),
+    // API clients receive the message (defaults to that of the result) or the changed signature
+    function sendLocalActionResult(request, response, status, result, signature, message = LOCAL_ACTION_RESULTS[result])
+    {
+        response.format({
+            text() { response.status(status).send(message); },
+            html()
+            {
+                const listUrl = combineUrl(request.originalUrl, "../../list");
+                response.redirect(303, listUrl + "?" + new URLSearchParams({ result }));
+            },
+            xml()
+            {
+                if (signature)
+                    response.status(status).send(xml.create({ signature }).end());
+                else
+                    this.text();
+            },
+            json()
+            {
+                if (signature)
+                    response.status(status).send(signature);
+                else
+                    this.text();
+            },
+            default() { this.text(); }
+        });
+    }
+
+    // Store an uploaded CLA file (already in the uploads directory) as a local signature with the form fields
+    // { name, email, employer, signed, type, company, users, domains, override }
+    // Returns { status, signature }, the status message starts with ERROR if rejected and the file is then removed
+    async function uploadLocalSignature(org, user, filePath, originalName, body)
+    {
+        let status;
+        let signature = null;
+        try
+        {
+            const isCorporate = body["type"] == "corporate";
+            const formData =
+            {
+                fileName: null, // set by validateUploadFile
+                fileHash: null,
+                fileOriginalName: path.basename(originalName),
+                signerName: body["name"],
+                signerEmail: body["email"],
+                signerEmployer: body["employer"],
+                signedDate: body["signed"],
+                company: body["company"],
+                coveredUsers: body["users"],
+                coveredDomains: body["domains"]
+            };
+
+            status = validateUploadForm(formData, isCorporate)
+                ?? await validateUploadFile(org, filePath, formData, isCorporate, String(body["override"]) == "true");
+
+            if (!status)
+            {
+                await fs.rename(filePath, path.join(org.dirUploads, formData.fileName));
+
+                signature = isCorporate
+                    ? corporateSignatureFromUpload(user, formData)
+                    : signatureFromUpload(user, formData);
+                await writeLocalSignature(org, signature);
+                addLocalSignature(org.signatures, org.signees, org.lookups, signature, /*sort*/ true);
+                audit("signature.upload", user, signature._id, { organization: org.name, signature });
+                notifySignatureChanges(org, { added: [signature] });
+
+                status = "CLA added succesfully.";
+            }
+        }
+        catch (ex)
+        {
+            status = "ERROR: " + ex.message;
+        }
+
+        // rejected files are not kept in the uploads directory
+        if (status.startsWith("ERROR"))
+            await fs.rm(filePath, { force: true });
+
+        return { status, signature };
+    }
+
+    router.all('/list', receiveUpload('cla'), async (request, response) =>
+    {
+        const org = request.org;
+        const canUpload = org.fileLocal && !needsAuthorization(request, "sign");
+        let uploadStatus = null;
+
+        if (canUpload && request.method == "POST")
+        {
+            const { file, body } = request;
+
+            if (request.uploadError)
+                uploadStatus = request.uploadError;
+            else if (file)
+                uploadStatus = (await uploadLocalSignature(org, getUserName(request), file.path, file.originalname, body)).status;
+            else
+                uploadStatus = "ERROR: CLA file is required.";
+        }
+
+        // plain text clients (e.g. the command line tool) only receive the upload status
+        if (uploadStatus && request.accepts(["html", "text"]) == "text")
+            return response.status(uploadStatus.startsWith("ERROR") ? 400 : 200).send(uploadStatus);
+
+        if (needsAuthorization(request, "read"))
+        {
+            if (uploadStatus) // user has write access but not read access
+                return response.status(uploadStatus.startsWith("ERROR") ? 400 : 200).send(uploadStatus);
+
+            return denyAuthorization(request, response);
+        }
+
+        // result of a local signature action redirected back to the list
+        if (canUpload && !uploadStatus && Object.hasOwn(LOCAL_ACTION_RESULTS, request.query.result ?? ""))
+            uploadStatus = LOCAL_ACTION_RESULTS[request.query.result];
+
+        const fresh = await reloadIfRequested(request);
+
+        const signees = org.signees;
+        const censor = CLA_AUTH_FIELDS && needsAuthorization(request, "read-private-fields");
+        const isHtml = request.accepts(["html", "json", "xml", "csv"]) == "html";
+
+        let result;
+        try
+        {
+            // HTML is always paged, other formats only when asked to
+            result = querySignees(signees, request.query, censor ? removeAuthFields : null, isHtml ? HTML_PAGE_SIZE : 0);
+        }
+        catch (ex)
+        {
+            return response.status(400).send(ex.message);
+        }
+
+        response.set("X-Total-Count", result.total);
+        if (result.next)
+            response.links({ next: withQuery(request, { cursor: result.next, page: undefined }) });
+
+        response.status(200);
+        response.format({
+            html()
+            {
+                response.render(path.join(VIEWS, "list.pug"),
+                    {
+                        pretty: true,
+                        sortedSignees: result.signees,
+                        corporates: result.corporates,
+                        fields: collectCustomFields(result.signees.flatMap(s => s[1])),
+                        age: fresh ? undefined : formatTimeSpan(new Date() - signees.timestamp),
+                        userCount: result.total,
+                        signatureCount: result.signatureCount,
+                        query: request.query,
+                        versions: org.gist?.versions ?? [],
+                        paging:
+                        {
+                            page: result.page,
+                            pages: result.pages,
+                            previous: result.page > 1 ? withQuery(request, { page: result.page - 1, cursor: undefined }) : null,
+                            next: result.page < result.pages ? withQuery(request, { page: result.page + 1, cursor: undefined }) : null
+                        },
+                        canUpload,
+                        uploadStatus,
+                        uploadAccept: CLA_UPLOAD_TYPES.map(type => UPLOAD_TYPES[type]?.extension).filter(e => e).join(","),
+                        localBase: combineUrl(request.originalUrl, (request.originalUrl.endsWith("/") ? ".." : ".") + LOCALBASE + "/"),
+                        localActions: combineUrl(request.originalUrl, (request.originalUrl.endsWith("/") ? ".." : ".") + "/local/"),
+                        isLocalSignature,
+                        getSignatureStatus,
+                        gist: org.gist,
+                        combineUrl
+                    });
+            },
+            xml()
+            {
+                const root =
+                {
+                    signatures:
+                    {
+                        '@timestamp': signees.timestamp.toISOString(),
+                        '@total': result.total,
+                        '@page': result.page,
+                        '@pages': result.pages,
+                        '@next': result.next ?? undefined,
+                        signature: [...result.signees.flatMap(s => s[1]), ...result.corporates]
+                    }
+                };
+                response.send(xml.create(root).end());
+            },
+            json()
+            {
+                response.send({
+                    timestamp: signees.timestamp,
+                    total: result.total,
+                    page: result.page,
+                    pages: result.pages,
+                    pageSize: result.pageSize,
+                    next: result.next,
+                    signatures: result.signees.flatMap(s => s[1]),
+                    corporates: result.corporates
+                });
+            },
+            csv()
+            {
+                sendCsv(response, "signatures.csv", [...result.signees.flatMap(s => s[1]), ...result.corporates]);
+            },
+            default() { this.html(); }
+        });
+    });
+
+    // status of a user in all organizations
+    baseRouter.get('/lookup/:username', (request, response) =>
+    {
+        const results = [];
+        for (const org of globalOrganizations.values())
+        {
+            if (org.error)
+            {
+                results.push({ organization: org.name, status: "unavailable", ids: [] });
+                continue;
+            }
+
+            const signatures = findUserSignatures(org, request.params.username) || [];
+            const status = getSignatureStatus(signatures, org.gist);
+            results.push({
+                organization: org.name,
+                status,
+                ids: signatures.map(s => s._id),
+                ...(status == "outdated" ? getVersions(signatures, org.gist) : undefined)
+            });
+        }
+
+        response.status(200);
+        response.format({
+            json() { response.send({ user: request.params.username, results }); },
+            xml()
+            {
+                const root = { lookup: { '@user': request.params.username, result: results.map(r => ({ '@organization': r.organization, '@status': r.status, id: r.ids })) } };
+                response.send(xml.create(root).end());
+            },
+            text()
+            {
+                response.send(results.map(r => `${r.organization} ${r.status}`).join("\n"));
+            },
+            default() { this.json(); }
+        });
+    });
+
+    // metrics of all organizations in the Prometheus text format
+    baseRouter.get('/metrics', (request, response) =>
+    {
+        response.status(200).type("text/plain; version=0.0.4").send(formatMetrics());
+    });
+
+    // organizations are served at BASE/org/name, the first one also at BASE
+    baseRouter.use("/org/:org", (request, response, next) =>
+    {
+        request.org = globalOrganizations.get(request.params.org);
+        if (!request.org)
+            return response.status(404).send("Unknown organization");
+        next();
+    }, router);
+
+    baseRouter.use((request, response, next) =>
+    {
+        request.org = getDefaultOrganization();
+        next();
+    }, router);
+
+    // Router serving all endpoints at BASE, with request logging, body parsing, HTTP metrics and error handling
+    function createMainRouter()
+    {
+        const mainRouter = express.Router();
+
+        // log every request when finished, log entries written while handling the request carry its id
+        mainRouter.use((request, response, next) =>
+        {
+            const requestId = getRequestId(request);
+            const start = performance.now();
+            response.set("X-Request-Id", requestId);
+            response.on("finish", () =>
+            {
+                logger.info(`${request.method} ${getLoggedPath(request)} ${response.statusCode}`,
+                    {
+                        requestId,
+                        method: request.method,
+                        path: getLoggedPath(request),
+                        route: request.route?.path ?? null,
+                        organization: request.org?.name ?? null,
+                        status: response.statusCode,
+                        duration: Math.round(performance.now() - start),
+                        user: getUserName(request)
+                    });
+            });
+
+            globalLogContext.run({ requestId }, next);
+        });
+
+        // keep the raw body for verifying webhook signatures (GitHub posts them as JSON or as a form with the payload field)
+        const keepRawBody = (request, response, buffer) => { request.rawBody = buffer; };
+        mainRouter.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+        mainRouter.use(express.json({ verify: keepRawBody }));
+
+        // count requests by the matched route pattern (e.g. /list/:username) rather than the URL to keep the labels bounded
+        mainRouter.use((req, res, next) =>
+        {
+            const start = performance.now();
+            res.on("finish", () =>
+            {
+                const labels = { organization: req.org?.name ?? "", method: req.method, route: req.route?.path ?? "unmatched", status: res.statusCode };
+                countMetric("cla_dwight_http_requests_total", labels);
+                observeMetric("cla_dwight_http_request_duration_seconds", labels, (performance.now() - start) / 1000);
+            });
+            next();
+        });
+
+        mainRouter.use(BASE, baseRouter);
+
+        // log unhandled errors (e.g. malformed request bodies) instead of letting Express print them
+        mainRouter.use((error, request, response, next) =>
+        {
+            if (response.headersSent)
+                return next(error);
+
+            const status = error.status ?? error.statusCode ?? 500;
+            if (status >= 500)
+                logger.error(error);
+            else
+                logger.warn(error);
+
+            response.status(status).send(status < 500 && error.expose ? error.message : "ERROR");
+        });
+
+        return mainRouter;
+    }
+    //#endregion
+
+    //#region Service
+
+    // Access to the data of the organizations for scripts and embedding apps (returned by createClaDwight)
+    // Methods take the organization name in options.organization, the first organization is used by default
+    // Methods changing data throw while another process running CLA-dwight uses the same directories (see lockStateDirectories)
+    function createService()
+    {
+        return {
+            // Load the most recent data from CLA-assistant (as /reload, use options.full to request all versions again)
+            // Returns { timestamp, full, cached, fetched, reused, degraded[] }
+            async reload(options = {})
+            {
+                const org = getServiceOrganization(options, /*loaded*/ false);
+                await checkStateDirectoriesUnlocked();
+                await globalReload(org, /*ignoreErrors*/ false, /*disableCache*/ true, /*fullReload*/ !!options.full);
+                return org.reloadStats;
+            },
+
+            // Summary of the data (see getDataStatus), also for organizations in error state
+            getStatus(options = {})
+            {
+                return getDataStatus(getServiceOrganization(options, /*loaded*/ false));
+            },
+
+            // Self-check of the organization (as /status?verbose, see getSelfCheck)
+            selfCheck(options = {})
+            {
+                return getSelfCheck(getServiceOrganization(options, /*loaded*/ false));
+            },
+
+            // Effective configuration { file, settings, sources } with secrets redacted (see loadConfig)
+            getConfig()
+            {
+                return getRedactedConfig();
+            },
+
+            // CLA status of a GitHub username or a custom lookup field value (as /check, see checkUser)
+            checkUser(user, options = {})
+            {
+                return checkUser(getServiceOrganization(options), user);
+            },
+
+            // Signature by its _id (as /get/id), null if not found
+            getSignature(id, options = {})
+            {
+                return getServiceOrganization(options).signatures.get(id) ?? null;
+            },
+
+            // Signatures matching the query parameters of /list (e.g. { q, from, to, revoked, version, origin, sort, pageSize })
+            // Returns { timestamp, total, page, pages, pageSize, next, signatures[], corporates[] }
+            listSignatures(query = {}, options = {})
+            {
+                const org = getServiceOrganization(options);
+                const result = querySignees(org.signees, query, /*censor*/ null, /*defaultPageSize*/ 0);
+                return {
+                    timestamp: org.signees.timestamp,
+                    total: result.total,
+                    page: result.page,
+                    pages: result.pages,
+                    pageSize: result.pageSize,
+                    next: result.next,
+                    signatures: result.signees.flatMap(s => s[1]),
+                    corporates: result.corporates
+                };
+            },
+
+            // Add a local signature with a copy of the CLA file (as POST /list), fields are the form fields of the upload
+            // { name, email, employer, signed, type, company, users, domains, override }, options.user is recorded as the uploader
+            // Returns the signature, throws if the fields or the file are not valid
+            async addLocalSignature(fields, filePath, options = {})
+            {
+                const org = getServiceOrganization(options);
+                if (!org.fileLocal)
+                    throw new Error(`Organization ${org.name} has no local storage.`);
+                await checkStateDirectoriesUnlocked();
+
+                const uploadPath = path.join(org.dirUploads, nanoid());
+                await fs.copyFile(filePath, uploadPath);
+
+                const { status, signature } = await uploadLocalSignature(org, options.user ?? null, uploadPath, filePath, fields);
+                if (!signature)
+                    throw new Error(status.replace(/^ERROR: /, ""));
+
+                return signature;
+            },
+
+            // Revoke a local signature by its _id (as POST /local/id/revoke) at options.revoked (now by default)
+            // Returns the revoked signature, throws if it is not a local signature
+            async revokeLocalSignature(id, options = {})
+            {
+                const org = getServiceOrganization(options);
+                const signature = org.signatures.get(id);
+                if (!signature)
+                    throw new Error("Signature not found.");
+                if (!isLocalSignature(signature))
+                    throw new Error("Signatures from CLA assistant are read-only.");
+                await checkStateDirectoriesUnlocked();
+
+                return await revokeLocalSignature(org, options.user ?? null, signature, options.revoked);
+            },
+
+            // Import cache and local signature files of all organizations into the database (see migrateStorage)
+            migrate: migrateStorage
+        };
+    }
+
+    // The organization selected by options.organization, throws if it does not exist or its data are not available
+    function getServiceOrganization(options, loaded = true)
+    {
+        const org = options.organization ? globalOrganizations.get(options.organization) : getDefaultOrganization();
+        if (!org)
+            throw new Error(`Unknown organization ${options.organization}.`);
+
+        if (loaded && (org.error || !org.signees))
+            throw new Error(`Data of organization ${org.name} are not available: ${org.error?.message ?? "not loaded"}`);
+
+        return org;
+    }
+
+    //#endregion
+
+    //#region CLA Assistant
+
+    // Find gist for the organization
+    function getGist(org)
+    {
+        logger.info(`Getting gist for the organization ${org.name}...`);
+
+        return observeAssistantCall(org, "getGist", postClaAssistant(org, "getGist",
+            {
+                orgId: org.orgId,
+            }))
+            .then(function (response)
+            {
+                const gist =
+                {
+                    url: response.data.html_url,
+                    filename: Object.keys(response.data.files).find(f => f != "metadata"),
+                    versions: response.data.history.map(h =>
+                    ({
+                        version: h.version,
+                        committed: h.committed_at,
+                        url: h.url
+                    })),
+                };
+
+                logger.debug("Found gist at: " + gist.url);
+                if (gist.versions?.length > 0)
+                {
+                    for (const version of gist.versions)
+                        logger.debug(" - version " + version.version + " from " + version.committed);
+
+                    return gist;
+                }
+                else
+                {
+                    throw new Error("No gist history available.");
+                }
+            })
+            .catch(function (error)
+            {
+                throw new Error("Failed to receive gist for the organization.", { cause: error });
+            });
+    }
+
+    // Get list of all CLA signatures
+    // Note: Currently the CLA assistant fails unless we ask per version.
+    //       If previous data is provided, only versions not present in it and the newest version are requested.
+    async function getSignatures(org, gist, previous, stats)
+    {
+        const perVersionSignatures = new Array(gist.versions.length);
+        const reusable = getReusableVersions(gist, previous);
+
+        logger.info("Getting list of signatures...");
+
+        //  The CLA server seems to be rate limiting concurrent connections, so reverting to sequential
+
+        for (let i = 0; i < gist.versions.length; i++)
+        {
+            const version = gist.versions[i].version;
+            if (reusable.has(version))
+            {
+                logger.debug(`Reusing ${reusable.get(version).length} cached signatures for version ${version}`);
+                perVersionSignatures[i] = reusable.get(version);
+                if (stats) stats.reused++;
+            }
+            else
+                try
+                {
+                    perVersionSignatures[i] = await getSignaturesInVersion(org, gist, version);
+                    if (stats) stats.fetched++;
+                }
+                catch (ex)
+                {
+                    // a failing version keeps its previous signatures, the reload only fails without them
+                    const kept = getPreviousVersionSignatures(previous, version);
+                    if (!kept)
+                        throw ex;
+
+                    logger.warn(`Keeping ${kept.length} previous signatures for degraded version ${version}.`, { error: ex });
+                    perVersionSignatures[i] = kept;
+                    if (stats) stats.degraded.push(version);
+                }
+        }
+
+        const allSignatures = perVersionSignatures.flat().reduce((map, signature) =>
+        {
+            map.set(signature._id, signature);
+            return map;
+        }, new Map());
+
+        allSignatures.timestamp = new Date();
+        return allSignatures;
+    }
+
+    // Get a Map of signature arrays keyed by gist version that do not need to be requested again
+    // i.e. all versions from previous data committed at the same time, except the newest one
+    function getReusableVersions(gist, previous)
+    {
+        const reusable = new Map();
+        if (!previous?.gist?.versions || !previous.signatures)
+            return reusable;
+
+        const newest = gist.versions.reduce((a, b) => a.committed >= b.committed ? a : b);
+        const previousVersions = previous.gist.versions.reduce((map, version) =>
+        {
+            map.set(version.version, version.committed);
+            return map;
+        }, new Map());
+
+        for (const version of gist.versions)
+            if (version !== newest && previousVersions.get(version.version) === version.committed)
+                reusable.set(version.version, []);
+
+        // local signatures do not have gist version so they are never reused
+        for (const signature of previous.signatures.values())
+            reusable.get(signature.gist_version)?.push(signature);
+
+        return reusable;
+    }
+
+    // Get signatures of a version from previous data, or null if the version was not loaded before
+    function getPreviousVersionSignatures(previous, version)
+    {
+        if (!previous?.signatures || !previous.gist?.versions?.some(v => v.version == version))
+            return null;
+
+        return [...previous.signatures.values()].filter(s => s.gist_version == version);
+    }
+
+    // Post a request to the CLA assistant API, transient failures (no response, 429 and 5xx) are retried up to CLA_RETRIES times
+    // with exponential backoff and jitter, or after Retry-After if the server asks for it (unless longer than CLA_RETRY_MAX_DELAY)
+    // After CLA_BREAKER_THRESHOLD calls failed in a row, calls fail immediately for CLA_BREAKER_COOLDOWN ms (the breaker is open),
+    // then one call at a time is let through until one succeeds (half-open)
+    async function postClaAssistant(org, call, data)
+    {
+        for (let attempt = 0; ; attempt++)
+        {
+            enterBreaker();
+            const url = CLA_ASSISTANT_URL + '/cla/' + call;
+            try
+            {
+                const response = await web.post(url, data);
+                leaveBreaker(/*failed*/ false);
+                globalAssistantLast = { timestamp: new Date().toISOString(), organization: org.name, call, url, status: response.status, error: null };
+                return response;
+            }
+            catch (error)
+            {
+                const transient = isTransientError(error);
+                leaveBreaker(/*failed*/ transient);
+                globalAssistantLast = { timestamp: new Date().toISOString(), organization: org.name, call, url, status: error.response?.status ?? null, error: error.message };
+
+                const delay = transient && attempt < CLA_RETRIES ? getRetryDelay(error, attempt) : null;
+                if (delay === null)
+                    throw error;
+
+                countMetric("cla_dwight_assistant_retries_total", { organization: org.name, call });
+                logger.warn(`CLA assistant ${call} of ${org.name} failed, retrying in ${delay} ms...`, { error });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    function isTransientError(error)
+    {
+        const status = error.response?.status;
+        return !!error.isAxiosError && (!status || status == 429 || status >= 500);
+    }
+
+    // Returns the delay in ms before the next attempt, or null if the server asks to wait too long
+    function getRetryDelay(error, attempt)
+    {
+        const retryAfter = error.response?.headers?.["retry-after"];
+        if (retryAfter)
+        {
+            const seconds = Number(retryAfter);
+            const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (!isNaN(delay))
+                return delay > CLA_RETRY_MAX_DELAY ? null : Math.max(0, delay);
+        }
+
+        // equal jitter: half of the exponential delay is fixed, half is random
+        const exponential = Math.min(CLA_RETRY_MAX_DELAY, CLA_RETRY_DELAY * 2 ** attempt);
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    // Throws if the circuit breaker is open, after the cooldown lets one call through to test the CLA assistant
+    function enterBreaker()
+    {
+        const breaker = globalBreaker;
+        if (breaker.state == "closed")
+            return;
+
+        if (breaker.state == "open" && Date.now() - breaker.openedAt >= CLA_BREAKER_COOLDOWN)
+        {
+            breaker.state = "half-open";
+            breaker.probing = false;
+        }
+
+        if (breaker.state == "half-open" && !breaker.probing)
+        {
+            breaker.probing = true;
+            return;
+        }
+
+        throw new Error("CLA assistant is unavailable (circuit breaker is open).");
+    }
+
+    function leaveBreaker(failed)
+    {
+        const breaker = globalBreaker;
+        breaker.probing = false;
+
+        if (!failed)
+        {
+            if (breaker.state != "closed")
+                logger.info("CLA assistant is available again, closing circuit breaker.");
+            breaker.state = "closed";
+            breaker.failures = 0;
+            breaker.openedAt = null;
+            return;
+        }
+
+        breaker.failures++;
+        if (breaker.state == "half-open" || (breaker.state == "closed" && breaker.failures >= CLA_BREAKER_THRESHOLD))
+        {
+            logger.warn(`CLA assistant failed ${breaker.failures} times, opening circuit breaker for ${CLA_BREAKER_COOLDOWN} ms.`);
+            breaker.state = "open";
+            breaker.openedAt = Date.now();
+        }
+    }
+
+    // State of the circuit breaker for /status
+    function getBreakerStatus()
+    {
+        const { state, failures, openedAt } = globalBreaker;
+        return { state, failures, retryAt: openedAt && state == "open" ? new Date(openedAt + CLA_BREAKER_COOLDOWN).toISOString() : undefined };
+    }
+
+    // Self-check for /status?verbose: effective configuration, writable directories, the data and the last CLA assistant call
+    async function getSelfCheck(org)
+    {
+        return {
+            ...getDataStatus(org),
+            config: getRedactedConfig(),
+            directories: await checkDirectories(org),
+            assistant: { breaker: getBreakerStatus(), lastCall: globalAssistantLast }
+        };
+    }
+
+    // Get list of all signatures for a specific version of the CLA
+    function getSignaturesInVersion(org, gist, gistVersion)
+    {
+        logger.debug(`Getting signees for version ${gistVersion}...`);
+
+        const versions = gist.versions.reduce((map, version) =>
+        {
+            map.set(version.version, version);
+            return map;
+        }, new Map());
+
+        return observeAssistantCall(org, "getAll", postClaAssistant(org, "getAll",
+            {
+                orgId: org.orgId,
+                gist:
+                {
+                    gist_url: gist.url,
+                    gist_version: gistVersion
+                },
+                token: org.orgToken
+            }))
+            .then(function (response)
+            {
+                var signatures = response.data;
+                logger.debug(` - found ${signatures.length} signatures for ${gistVersion}`);
+
+                for (const signature of signatures)
+                {
+                    const version = versions.get(signature.gist_version);
+                    if (version)
+                        signature.gist_committed_at = version.committed;
+
+                    signature.gist_filename = gist.filename;
+
+                    if (signature.custom_fields)
+                        signature.custom_fields = JSON.parse(signature.custom_fields);
+                }
+
+                return signatures;
+            })
+            .catch(function (error)
+            {
+                throw new Error(`Failed to receive list of signees for version ${gistVersion}.`, { cause: error });
+            });
+    };
+
+    // Create a Map of signatures keyed by username
+    function createSignees(signatures)
+    {
+        if (!signatures)
+            return null;
+
+        const signees = signatures.values().reduce((map, signature) =>
+        {
+            if (map.has(signature.user))
+                map.get(signature.user).push(signature);
+            else
+                map.set(signature.user, [signature]);
+            return map;
+        }, new Map());
+
+        signees.timestamp = signatures.timestamp;
+        signees.corporates = [];
+
+        for (const signee of signees.values())
+            signee.sort(signatureComparer);
+
+        return signees;
+    }
+
+    // Create a Map of usernames keyed by custom fields
+    function createLookups(signees)
+    {
+        if (!CLA_LOOKUP_FIELDS)
+            return null;
+
+        logger.info("Creating lookup from custom fields...");
+
+        const lookups = new Map();
+
+        if (signees)
+            for (const signee of signees.values())
+                for (const signature of signee)
+                     addToLookup(lookups, signature)
+
+        return lookups;
+    }
+
+    // Add custom fields from a signature to a lookup
+    function addToLookup(lookups, signature)
+    {
+        if (lookups && signature)
+        {
+            if (signature.custom_fields)
+                for (const field of CLA_LOOKUP_FIELDS)
+                {
+                    const fieldValue = signature.custom_fields[field];
+                    if (fieldValue)
+                    {
+                        let usernames = lookups.get(fieldValue);
+                        if (!usernames)
+                        {
+                            usernames = new Set();
+                            lookups.set(fieldValue, usernames);
+                        }
+                        usernames.add(signature.user);
+                    }
+                }
+        }
+    }
+
+    // Find all signatures of a user in an organization by GitHub username or by a custom lookup field value
+    // Returns the signatures ordered by signatureComparer or null if none was found
+    function findUserSignatures(org, identifier)
+    {
+        const signees = org.signees;
+        const lookups = org.lookups;
+        if (!signees)
+            return null;
+
+        let signatures = signees.get(identifier);
+
+        // try looking up using custom fields if enabled
+        if ((!signatures || signatures.length < 1) && lookups)
+        {
+            const usernames = lookups.get(identifier);
+            if (!usernames || usernames.size < 1)
+                return findCorporateSignatures(org, identifier, null);
+
+            if (usernames.size == 1)
+                signatures = signees.get(usernames.values().next().value);
+            else
+            {
+                signatures = [];
+                for (const username of usernames)
+                {
+                    const perUsername = signees.get(username);
+                    if (perUsername)
+                        signatures.push(...perUsername);
+                }
+            }
+        }
+
+        return findCorporateSignatures(org, identifier, signatures);
+    }
+
+    // Add corporate signatures covering the user to their individual signatures
+    // Unless the user has a valid individual signature, the covering corporate signatures go first (so they determine the status)
+    function findCorporateSignatures(org, identifier, signatures)
+    {
+        const corporates = getCoveringCorporates(org.signees?.corporates, identifier, signatures);
+
+        if (corporates.length < 1)
+            return signatures?.length > 0 ? signatures : null;
+
+        if (!signatures || signatures.length < 1)
+            return corporates;
+
+        if (getSignatureStatus(signatures, org.gist) == "signed")
+            return [...signatures, ...corporates];
+        else
+            return [...corporates, ...signatures];
+    }
+
+    // Get corporate signatures covering a user identified by a username or e-mail or by their individual signatures
+    // Valid signatures are ordered first
+    function getCoveringCorporates(corporates, identifier, signatures)
+    {
+        if (!corporates || corporates.length < 1)
+            return [];
+
+        const users = new Set([identifier.toLowerCase()]);
+        const domains = new Set();
+
+        if (signatures)
+            for (const signature of signatures)
+            {
+                if (signature.user)
+                    users.add(signature.user.toLowerCase());
+                if (signature.custom_fields?.email)
+                    users.add(signature.custom_fields.email.toLowerCase());
+            }
+
+        for (const user of users)
+            if (user.includes("@"))
+                domains.add(normalizeDomain(user.substring(user.lastIndexOf("@") + 1)));
+
+        return corporates
+            .filter(c => c.covered_users?.some(u => users.has(u.toLowerCase())) || c.covered_domains?.some(d => domains.has(d)))
+            .sort((a, b) => (a.revoked_at ? 1 : 0) - (b.revoked_at ? 1 : 0));
+    }
+
+    // Get CLA status of a user from signatures ordered by signatureComparer (the first is the most recent)
+    // The user is outdated if none of their valid signatures is of a CLA version of the gist accepted by CLA_VERSION_POLICY
+    function getSignatureStatus(signatures, gist)
+    {
+        if (!signatures || signatures.length < 1)
+            return "missing";
+
+        if (signatures[0].revoked_at)
+            return "revoked";
+
+        const required = getRequiredVersions(gist);
+        if (required && !signatures.some(s => !s.revoked_at && isAcceptedVersion(s, required)))
+            return "outdated";
+
+        return "signed";
+    }
+
+    // Get ids of CLA versions accepted by CLA_VERSION_POLICY, or null if any version is accepted
+    function getRequiredVersions(gist)
+    {
+        if (CLA_VERSION_POLICY == "any" || !gist?.versions)
+            return null;
+
+        const versions = gist.versions.toSorted((a, b) => Date.parse(b.committed) - Date.parse(a.committed));
+
+        if (CLA_VERSION_POLICY == "latest")
+            return versions.slice(0, 1).map(v => v.version);
+
+        if (CLA_VERSION_POLICY.startsWith("after:"))
+        {
+            const after = Date.parse(CLA_VERSION_POLICY.substring(6));
+            return versions.filter(v => Date.parse(v.committed) >= after).map(v => v.version);
+        }
+
+        // explicit list of (possibly abbreviated) versions
+        const listed = CLA_VERSION_POLICY.split(/\s+/);
+        return versions.filter(v => listed.some(l => v.version.startsWith(l))).map(v => v.version);
+    }
+
+    // Local signatures are not tied to a CLA version, so they are always accepted
+    function isAcceptedVersion(signature, required)
+    {
+        return !required || !signature.gist_version || required.includes(signature.gist_version);
+    }
+
+    // Get CLA versions of valid signatures and the versions accepted by CLA_VERSION_POLICY
+    function getVersions(signatures, gist)
+    {
+        const signedVersions = [...new Set(signatures.filter(s => !s.revoked_at && s.gist_version).map(s => s.gist_version))];
+        const requiredVersions = getRequiredVersions(gist) ?? [];
+        return { signedVersions, requiredVersions };
+    }
+
+    // Get CLA status of a user at a given time from all their signatures (in any order)
+    // Returns { status, signature, reason } where signature is the one that covered the user or explains why none did
+    // CLA_VERSION_POLICY applies to the versions of the gist committed by then, outdated results also include the versions
+    function getSignatureStatusAt(signatures, at, gist)
+    {
+        const time = at.getTime();
+        const signed = signatures.filter(s => Date.parse(s.created_at) <= time);
+        const covering = signed.filter(s => !s.revoked_at || Date.parse(s.revoked_at) > time);
+        const describe = s => (isCorporateSignature(s) ? `Corporate signature ${s._id} of ${s.user}` : `Signature ${s._id}`);
+        const latest = list => list.reduce((a, b) => Date.parse(b.created_at) > Date.parse(a.created_at) ? b : a);
+
+        const gistAt = gist?.versions && { ...gist, versions: gist.versions.filter(v => Date.parse(v.committed) <= time) };
+        const required = getRequiredVersions(gistAt);
+        const accepted = covering.filter(s => isAcceptedVersion(s, required));
+
+        if (accepted.length > 0)
+        {
+            const signature = latest(accepted);
+            return { status: "signed", signature, reason: `${describe(signature)} was signed on ${signature.created_at}.` };
+        }
+
+        if (covering.length > 0)
+        {
+            const signature = latest(covering);
+            return {
+                status: "outdated", signature, reason: `${describe(signature)} is of CLA version ${signature.gist_version}, which is not accepted.`,
+                ...getVersions(covering, gistAt)
+            };
+        }
+
+        if (signed.length > 0)
+        {
+            const signature = signed.reduce((a, b) => Date.parse(b.revoked_at) > Date.parse(a.revoked_at) ? b : a);
+            return { status: "revoked", signature, reason: `${describe(signature)} was revoked on ${signature.revoked_at}.` };
+        }
+
+        if (signatures.length > 0)
+        {
+            const signature = signatures.reduce((a, b) => Date.parse(b.created_at) < Date.parse(a.created_at) ? b : a);
+            return { status: "missing", signature, reason: `${describe(signature)} was not signed until ${signature.created_at}.` };
+        }
+
+        return { status: "missing", signature: null, reason: "No signature found." };
+    }
+
+    // Remove custom fields of a signature from a lookup (unless other signatures of the same user have the same values)
+    function removeFromLookup(lookups, signees, signature)
+    {
+        if (lookups && signature?.custom_fields)
+            for (const field of CLA_LOOKUP_FIELDS)
+            {
+                const fieldValue = signature.custom_fields[field];
+                if (!fieldValue)
+                    continue;
+
+                const remaining = signees.get(signature.user);
+                if (remaining && remaining.some(s => s.custom_fields && s.custom_fields[field] == fieldValue))
+                    continue;
+
+                const usernames = lookups.get(fieldValue);
+                if (usernames)
+                {
+                    usernames.delete(signature.user);
+                    if (usernames.size < 1)
+                        lookups.delete(fieldValue);
+                }
+            }
+    }
+
+    //#endregion
+
+    //#region GitHub
+
+    // Verify the X-Hub-Signature-256 header of a webhook request against GITHUB_WEBHOOK_SECRET
+    function verifyWebhookSignature(request)
+    {
+        const header = request.get("X-Hub-Signature-256");
+        if (!header || !request.rawBody)
+            return false;
+
+        const expected = "sha256=" + crypto.createHmac("sha256", GITHUB_WEBHOOK_SECRET).update(request.rawBody).digest("hex");
+        const expectedBuffer = Buffer.from(expected);
+        const actualBuffer = Buffer.from(header);
+
+        return expectedBuffer.length == actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+    }
+
+    // Get GitHub usernames of all commit authors in a pull request
+    // Commits without a linked GitHub account are represented by the author e-mail (see CLA_LOOKUP_FIELDS)
+    async function getPullRequestAuthors(repository, number)
+    {
+        logger.info(`Getting commit authors of ${repository}#${number}...`);
+
+        const authors = new Set();
+        for (let page = 1; ; page++)
+        {
+            const response = await web.get(getGitHubUrl(`repos/${repository}/pulls/${number}/commits`),
+                {
+                    headers: getGitHubHeaders(),
+                    params: { per_page: 100, page }
+                })
+                .catch(function (error)
+                {
+                    throw new Error(`Failed to receive commits of ${repository}#${number}.`, { cause: error });
+                });
+
+            for (const commit of response.data)
+            {
+                const login = commit.author?.login;
+                if (login)
+                {
+                    if (!login.endsWith("[bot]"))
+                        authors.add(login);
+                }
+                else if (commit.commit?.author?.email)
+                    authors.add(commit.commit.author.email);
+            }
+
+            if (response.data.length < 100)
+                break;
+        }
+
+        return [...authors];
+    }
+
+    // Create a commit status for the CLA check, linking to the CLA
+    function postCommitStatus(repository, sha, state, description, targetUrl)
+    {
+        logger.info(`Setting ${state} status on ${repository}@${sha}...`);
+
+        return web.post(getGitHubUrl(`repos/${repository}/statuses/${sha}`),
+            {
+                state,
+                context: GITHUB_STATUS_CONTEXT,
+                // GitHub limits the description length
+                description: description.length > 140 ? description.substring(0, 139) + "…" : description,
+                target_url: targetUrl
+            },
+            {
+                headers: getGitHubHeaders()
+            })
+            .catch(function (error)
+            {
+                throw new Error(`Failed to set commit status on ${repository}@${sha}.`, { cause: error });
+            });
+    }
+
+    // Combine GITHUB_API_URL with a relative API path (the base may or may not end with a slash)
+    function getGitHubUrl(relativeUrl)
+    {
+        return GITHUB_API_URL.replace(/\/+$/, "") + "/" + relativeUrl;
+    }
+
+    // Headers for GitHub REST API calls authorized using GITHUB_STATUS_TOKEN
+    function getGitHubHeaders()
+    {
+        return {
+            "Accept": "application/vnd.github+json",
+            "Authorization": "Bearer " + GITHUB_STATUS_TOKEN,
+            "X-GitHub-Api-Version": "2022-11-28"
+        };
+    }
+
+    //#endregion
+
+    //#region Outgoing Webhooks
+
+    // Queue signature.created, signature.revoked and signature.updated events of an organization for all CLA_WEBHOOKS subscribers
+    function notifySignatureChanges(org, diff)
+    {
+        if (!CLA_WEBHOOKS)
+            return;
+
+        const events =
+        [
+            ...(diff.added || []).map(signature => ["signature.created", signature]),
+            ...(diff.revoked || []).map(signature => ["signature.revoked", signature]),
+            ...(diff.updated || []).map(signature => ["signature.updated", signature])
+        ];
+
+        if (events.length < 1)
+            return;
+
+        const now = Date.now();
+        for (const [event, signature] of events)
+            for (const url of CLA_WEBHOOKS)
+            {
+                const id = nanoid();
+                globalWebhookQueue.push(
+                    {
+                        id,
+                        url,
+                        event,
+                        payload: { event, delivery: id, timestamp: new Date(now).toISOString(), organization: org.name, signature },
+                        attempts: 0,
+                        due: now
+                    });
+            }
+
+        logger.info(`Queued ${events.length} webhook events.`);
+        saveWebhookQueue();
+        scheduleWebhooks(0);
+    }
+
+    function scheduleWebhooks(delay)
+    {
+        if (globalWebhookTimer)
+            clearTimeout(globalWebhookTimer);
+
+        globalWebhookTimer = setTimeout(processWebhookQueue, Math.max(0, delay));
+        globalWebhookTimer.unref();
+    }
+
+    // Send all deliveries that are due, failed deliveries are retried with exponential backoff
+    async function processWebhookQueue()
+    {
+        globalWebhookTimer = null;
+        if (globalWebhookSending)
+            return;
+
+        globalWebhookSending = true;
+        try
+        {
+            const due = globalWebhookQueue.filter(d => d.due <= Date.now());
+            for (const delivery of due)
+            {
+                try
+                {
+                    await sendWebhook(delivery);
+                    globalWebhookQueue.splice(globalWebhookQueue.indexOf(delivery), 1);
+                }
+                catch (ex)
+                {
+                    delivery.attempts++;
+                    if (delivery.attempts >= CLA_WEBHOOK_RETRIES)
+                    {
+                        logger.error(`Giving up webhook ${delivery.event} delivery ${delivery.id} to ${delivery.url}.`, { error: ex });
+                        globalWebhookQueue.splice(globalWebhookQueue.indexOf(delivery), 1);
+                        audit("webhook.failed", null, delivery.payload.signature?._id, { organization: delivery.payload.organization, url: delivery.url, event: delivery.event, delivery: delivery.id, error: ex.message });
+                    }
+                    else
+                    {
+                        // 10 s, 20 s, 40 s... up to an hour
+                        delivery.due = Date.now() + Math.min(10000 * 2 ** (delivery.attempts - 1), 3600000);
+                        logger.warn(`Webhook ${delivery.event} delivery ${delivery.id} to ${delivery.url} failed, retrying later.`, { error: ex });
+                    }
+                }
+            }
+
+            await saveWebhookQueue();
+        }
+        finally
+        {
+            globalWebhookSending = false;
+        }
+
+        if (globalWebhookQueue.length > 0)
+            scheduleWebhooks(Math.min(...globalWebhookQueue.map(d => d.due)) - Date.now());
+    }
+
+    function sendWebhook(delivery)
+    {
+        const body = JSON.stringify(delivery.payload);
+        const headers =
+        {
+            "Content-Type": "application/json",
+            "User-Agent": "CLA-dwight",
+            "X-CLA-Event": delivery.event,
+            "X-CLA-Delivery": delivery.id
+        };
+
+        if (CLA_WEBHOOK_SECRET)
+            headers["X-CLA-Signature-256"] = "sha256=" + crypto.createHmac("sha256", CLA_WEBHOOK_SECRET).update(body).digest("hex");
+
+        return web.post(delivery.url, body, { headers })
+            .catch(function (error)
+            {
+                throw new Error(`Failed to deliver webhook: ${error.message}`, { cause: error });
+            });
+    }
+
+    // Persist the queue if CLA_WEBHOOK_QUEUE is set so that pending deliveries survive restarts
+    function saveWebhookQueue()
+    {
+        if (!CLA_WEBHOOK_QUEUE)
+            return Promise.resolve();
+
+        const data = JSON.stringify(globalWebhookQueue);
+        globalWebhookSaving = globalWebhookSaving
+            .then(() => writeFileAtomic(CLA_FILE_WEBHOOKS, data))
+            .catch(function (error)
+            {
+                logger.error("Failed to save webhook queue.", { error });
+            });
+
+        return globalWebhookSaving;
+    }
+
+    async function loadWebhookQueue()
+    {
+        if (!CLA_WEBHOOK_QUEUE)
+            return;
+
+        try
+        {
+            globalWebhookQueue = JSON.parse(await fs.readFile(CLA_FILE_WEBHOOKS, { encoding: 'utf8' }));
+            if (globalWebhookQueue.length > 0)
+            {
+                logger.info(`Resuming ${globalWebhookQueue.length} pending webhook deliveries...`);
+                scheduleWebhooks(0);
+            }
+        }
+        catch (ex)
+        {
+            if (ex.code != "ENOENT")
+                logger.error("Failed to read webhook queue.", { error: ex });
+        }
+    }
+
+    //#endregion
+
+    //#region Authentication
+
+    const AUTH_SCOPES = ["read", "read-private-fields", "sign", "admin"];
+
+    // Each provider returns { user, scopes[], provider } if it accepts the request credentials, null otherwise
+    const authProviders = [authenticateBasic, authenticateToken, authenticateJwt];
+
+    // Gets the client identity using the first provider that accepts its credentials (null for anonymous clients)
+    async function authenticate(request)
+    {
+        if (!request.headers.authorization)
+            return null;
+
+        for (const provider of authProviders)
+            try
+            {
+                const identity = await provider(request);
+                if (identity)
+                    return identity;
+            }
+            catch (ex)
+            {
+                logger.warn(`Authentication using ${provider.name} failed: ${ex.message}`);
+            }
+
+        return null;
+    }
+
+    // Static lists of base64-encoded username:password values of the organization
+    // CLA_LIST_AUTH grants read and read-private-fields, CLA_SIGN_AUTH grants sign and CLA_ADMIN_AUTH grants admin scope
+    function authenticateBasic(request)
+    {
+        const scopes = [];
+        let user = null;
+        const org = request.org;
+
+        for (const [authList, listScopes] of [[org.listAuth, ["read", "read-private-fields"]], [org.signAuth, ["sign"]], [org.adminAuth, ["admin"]]])
+        {
+            const listUser = getBasicUserName(request, authList);
+            if (listUser)
+            {
+                user = listUser;
+                scopes.push(...listScopes);
+            }
+        }
+
+        return user ? { user, scopes, provider: "basic" } : null;
+    }
+
+    // Bearer API tokens listed in CLA_API_TOKENS file as [{ name, hash, scopes[], expires }] where hash is hex SHA-256 of the token
+    async function authenticateToken(request)
+    {
+        const token = getBearerToken(request);
+        if (!token || !CLA_API_TOKENS)
+            return null;
+
+        const tokens = await getApiTokens();
+        const entry = tokens.get(crypto.createHash("sha256").update(token).digest("hex"));
+        if (!entry)
+            return null;
+
+        if (entry.expires && new Date(entry.expires) < new Date())
+            throw new Error(`API token ${entry.name} has expired.`);
+
+        return { user: entry.name, scopes: entry.scopes.filter(s => AUTH_SCOPES.includes(s)), provider: "token" };
+    }
+
+    // Bearer JWTs signed by a key from CLA_JWT_JWKS file or the CLA_JWT_ISSUER OpenID configuration
+    // The scopes are taken from the scope or scp claim (a space-separated string or an array)
+    async function authenticateJwt(request)
+    {
+        const token = getBearerToken(request);
+        if (!token || !(CLA_JWT_JWKS || CLA_JWT_ISSUER) || token.split(".").length != 3)
+            return null;
+
+        const jwks = await getJwks();
+        const { payload } = await jose.jwtVerify(token, jwks,
+            {
+                issuer: CLA_JWT_ISSUER || undefined,
+                audience: CLA_JWT_AUDIENCE
+            });
+
+        const claim = payload.scope ?? payload.scp ?? [];
+        const claimed = typeof claim == "string" ? claim.split(" ") : [claim].flat();
+        return {
+            user: payload.preferred_username || payload.email || payload.sub || null,
+            scopes: claimed.filter(s => AUTH_SCOPES.includes(s)),
+            provider: "jwt"
+        };
+    }
+
+    function getBearerToken(request)
+    {
+        const auth = request.headers.authorization?.split(" ");
+        return auth?.[0] == "Bearer" ? auth[1] : null;
+    }
+
+    // Read the CLA_API_TOKENS file (again if it has changed, so tokens can be rotated without restart)
+    async function getApiTokens()
+    {
+        const stat = await fs.stat(CLA_API_TOKENS);
+        if (globalApiTokens?.mtime != stat.mtimeMs)
+        {
+            logger.info("Reading API tokens...");
+
+            const entries = JSON.parse(await fs.readFile(CLA_API_TOKENS, { encoding: 'utf8' }));
+            const tokens = new Map();
+            for (const entry of entries)
+                tokens.set(entry.hash.toLowerCase(), { name: entry.name, scopes: entry.scopes || [], expires: entry.expires });
+
+            tokens.mtime = stat.mtimeMs;
+            globalApiTokens = tokens;
+        }
+
+        return globalApiTokens;
+    }
+
+    async function getJwks()
+    {
+        if (!globalJwks)
+        {
+            if (CLA_JWT_JWKS)
+                globalJwks = jose.createLocalJWKSet(JSON.parse(await fs.readFile(CLA_JWT_JWKS, { encoding: 'utf8' })));
+            else
+            {
+                const configUrl = CLA_JWT_ISSUER.replace(/\/+$/, "") + "/.well-known/openid-configuration";
+                const response = await web.get(configUrl);
+                globalJwks = jose.createRemoteJWKSet(new URL(response.data.jwks_uri));
+            }
+        }
+
+        return globalJwks;
+    }
+
+    // Sends 401 asking for authorization, provided credentials that were not accepted are audited
+    function denyAuthorization(request, response)
+    {
+        if (request.headers.authorization)
+            audit("auth.failed", getClaimedUserName(request), null, { organization: request.org.name, method: request.method, url: request.originalUrl, ip: request.ip });
+
+        const challenges = ['Basic realm="CLA"'];
+        if (CLA_API_TOKENS || CLA_JWT_JWKS || CLA_JWT_ISSUER)
+            challenges.push('Bearer realm="CLA"');
+
+        response.set('WWW-Authenticate', challenges);
+        return response.status(401).send("Authorization required");
+    }
+
+    // Gets the authorized client's username if it is one of the predefined accounts
+    function getBasicUserName(request, authList)
+    {
+        if (!authList)
+            return null;
+
+        if (!request.headers.authorization)
+            return null;
+
+        try
+        {
+            const auth = request.headers.authorization.split(" ");
+            if (auth[0] != "Basic" || authList.indexOf(auth[1]) < 0)
+                return null;
+
+            const credBuffer = Buffer.from(auth[1], "base64");
+            const decoded = credBuffer.toString("utf8");
+            return decoded.split(":")[0];
+        }
+        catch (ex)
+        {
+            logger.error(ex);
+            return null;
+        }
+    }
+
+    // Removes fields specified in CLA_AUTH_FIELDS from a signature (returns the same instance if not aplicable)
+    function removeAuthFields(signature)
+    {
+        if (CLA_AUTH_FIELDS && signature.custom_fields)
+        {
+            const censored = { ...signature };
+            censored.custom_fields = { ...censored.custom_fields };
+            for (const property of CLA_AUTH_FIELDS)
+                delete censored.custom_fields[property];
+            return censored;
+        }
+
+        return signature;
+    }
+
+    //#endregion
+
+    //#region Audit Log
+
+    // Append an entry to the audit log if CLA_AUDITLOG is set, failures are only logged to console
+    // Each entry contains hash of the previous one so that any modification of the log can be detected
+    function audit(action, user, id, details)
+    {
+        if (!CLA_AUDITLOG)
+            return Promise.resolve();
+
+        const timestamp = new Date().toISOString();
+
+        globalAuditQueue = globalAuditQueue
+            .then(async function ()
+            {
+                if (!globalAuditLast)
+                    globalAuditLast = await readLastAuditEntry();
+
+                const entry =
+                {
+                    seq: globalAuditLast.seq + 1,
+                    timestamp,
+                    action,
+                    user: user || null,
+                    id: id || null,
+                    details: details || null,
+                    prev: globalAuditLast.hash
+                };
+                entry.hash = hashAuditEntry(entry);
+
+                await fs.appendFile(CLA_FILE_AUDIT, JSON.stringify(entry) + "\n");
+                globalAuditLast = entry;
+            })
+            .catch(function (error)
+            {
+                logger.error("Failed to write audit log.", { error });
+            });
+
+        return globalAuditQueue;
+    }
+
+    function hashAuditEntry(entry)
+    {
+        const { hash, ...content } = entry;
+        return crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex");
+    }
+
+    async function readAuditLog()
+    {
+        let data;
+        try
+        {
+            data = await fs.readFile(CLA_FILE_AUDIT, { encoding: 'utf8' });
+        }
+        catch (ex)
+        {
+            if (ex.code == "ENOENT")
+                return [];
+            throw ex;
+        }
+
+        return data.split("\n").filter(line => line).map(line => JSON.parse(line));
+    }
+
+    async function readLastAuditEntry()
+    {
+        const entries = await readAuditLog();
+        if (entries.length > 0)
+            return entries[entries.length - 1];
+
+        return { seq: 0, hash: null };
+    }
+
+    // Check the hash chain of audit log entries, returns the first broken entry or null
+    function verifyAuditLog(entries)
+    {
+        let prev = null;
+        for (const entry of entries)
+        {
+            if (entry.prev !== prev || entry.hash !== hashAuditEntry(entry))
+                return entry;
+            prev = entry.hash;
+        }
+
+        return null;
+    }
+
+    //#endregion
+
+    //#region Snapshots
+
+    // Save signatures after a successful reload as a snapshot named by its timestamp, then remove expired snapshots
+    // A snapshot is only saved when the signatures changed since the previous one (which thus remains valid until then)
+    // Local signature changes are not snapshotted until the next reload
+    async function saveSnapshot(org, signatures, timestamp)
+    {
+        try
+        {
+            const snapshots = await listSnapshots(org);
+            const last = snapshots[snapshots.length - 1];
+
+            if (last)
+            {
+                const diff = diffSignatures(await readSnapshot(org, last), signatures);
+                if (!diff.added.length && !diff.revoked.length && !diff.updated.length && !diff.removed.length)
+                    return;
+            }
+
+            const id = getSnapshotId(timestamp);
+            const snapshot = { timestamp: timestamp.toISOString(), signatures: [...signatures.values()] };
+            await writeFileAtomic(path.join(org.snapshots, id + ".json"), JSON.stringify(snapshot));
+            snapshots.push({ id, timestamp: snapshot.timestamp });
+
+            await pruneSnapshots(org, snapshots);
+        }
+        catch (ex)
+        {
+            logger.error("Failed to save snapshot.", { error: ex });
+        }
+    }
+
+    // Remove snapshots older than CLA_SNAPSHOT_RETENTION days, except the newest of them
+    // which remains in effect within the retention period until the next snapshot (see findSnapshot)
+    async function pruneSnapshots(org, snapshots)
+    {
+        if (!(CLA_SNAPSHOT_RETENTION > 0))
+            return;
+
+        const expired = new Date(Date.now() - CLA_SNAPSHOT_RETENTION * 24 * 60 * 60 * 1000).toISOString();
+        const effective = snapshots.findLastIndex(s => s.timestamp < expired);
+        for (const snapshot of snapshots.slice(0, Math.max(0, effective)))
+            await fs.rm(path.join(org.snapshots, snapshot.id + ".json"), { force: true });
+    }
+
+    // List available snapshots { id, timestamp }, oldest first
+    async function listSnapshots(org)
+    {
+        const files = await fs.readdir(org.snapshots);
+        return files
+            .filter(f => f.endsWith(".json"))
+            .map(f => path.basename(f, ".json"))
+            .map(id => ({ id, timestamp: id.replace(/T(\d\d)-(\d\d)-(\d\d)/, "T$1:$2:$3") }))
+            .sort((a, b) => a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0);
+    }
+
+    // Read signatures of a snapshot as a Map keyed by their id
+    async function readSnapshot(org, snapshot)
+    {
+        const data = await fs.readFile(path.join(org.snapshots, snapshot.id + ".json"), { encoding: 'utf8' });
+        return new Map(JSON.parse(data).signatures.map(s => [s._id, s]));
+    }
+
+    // Find the snapshot by its id or the last one taken at or before the given date and time
+    async function findSnapshot(org, value, endOfDay)
+    {
+        const snapshots = await listSnapshots(org);
+        const byId = snapshots.find(s => s.id == value);
+        if (byId)
+            return byId;
+
+        const timestamp = parseDateParam(value, endOfDay);
+        return snapshots.findLast(s => s.timestamp <= timestamp) ?? null;
+    }
+
+    // Snapshot timestamps are used as file names, so they cannot contain colons
+    function getSnapshotId(timestamp)
+    {
+        return timestamp.toISOString().replaceAll(":", "-");
+    }
+
+    //#endregion
+
+    //#region Logging
+
+    // Format a log entry of the instance logger as a JSON line with credentials and configured secrets redacted
+    function formatLogEntry(entry)
+    {
+        let line = JSON.stringify(redactLogFields(entry));
+        for (const secret of getLogSecrets())
+            line = line.replaceAll(secret, LOG_REDACTED);
+
+        return line;
+    }
+
+    // Replace values of credentials and private custom fields (CLA_AUTH_FIELDS) anywhere in the logged fields
+    function redactLogFields(value)
+    {
+        if (Array.isArray(value))
+            return value.map(redactLogFields);
+
+        if (!value || typeof value != "object")
+            return value;
+
+        const redacted = {};
+        for (const [key, property] of Object.entries(value))
+            redacted[key] = isRedactedLogField(key) ? LOG_REDACTED : redactLogFields(property);
+
+        return redacted;
+    }
+
+    function isRedactedLogField(key)
+    {
+        return /token|secret|password|authorization|cookie/i.test(key) || !!CLA_AUTH_FIELDS?.includes(key);
+    }
+
+    // Configured secrets are redacted even when they appear in messages (e.g. in URLs of failed requests)
+    function getLogSecrets()
+    {
+        const secrets = [GITHUB_STATUS_TOKEN, GITHUB_WEBHOOK_SECRET, CLA_WEBHOOK_SECRET];
+        for (const org of globalOrganizations.values())
+            secrets.push(org.orgToken);
+
+        return secrets.filter(s => s?.length >= 4);
+    }
+
+    // Use the X-Request-Id of the incoming request (e.g. from a proxy) if it is reasonable, otherwise generate one
+    function getRequestId(request)
+    {
+        const requestId = request.get("X-Request-Id");
+        return requestId && /^[\w.:-]{1,128}$/.test(requestId) ? requestId : nanoid();
+    }
+
+    // Path of the request without query (which can contain private field values in searches)
+    // Usernames are hidden as well if they can be private lookup fields
+    function getLoggedPath(request)
+    {
+        const requestPath = request.originalUrl.split("?")[0];
+        const username = request.params?.username;
+        if (username && CLA_LOOKUP_FIELDS?.some(f => CLA_AUTH_FIELDS?.includes(f)))
+            return requestPath.replace(encodeURIComponent(username), LOG_REDACTED);
+
+        return requestPath;
+    }
+
+    //#endregion
+
+    //#region Metrics
+
+    // type and description of all metrics, gauges are computed by collectDataMetrics
+    const METRIC_HELP =
+    {
+        cla_dwight_assistant_request_duration_seconds: ["histogram", "Duration of CLA assistant calls (getGist, getAll) by outcome."],
+        cla_dwight_assistant_retries_total: ["counter", "Retried CLA assistant calls (getGist, getAll)."],
+        cla_dwight_assistant_breaker_open: ["gauge", "Whether the circuit breaker of CLA assistant calls is open (1), half-open (0.5) or closed (0)."],
+        cla_dwight_degraded_versions: ["gauge", "Number of CLA versions that failed to load in the last reload and keep their previous signatures."],
+        cla_dwight_reloads_total: ["counter", "Reloads of CLA assistant data by outcome (ok, cached, failed)."],
+        cla_dwight_data_timestamp_seconds: ["gauge", "Time when the currently served data were obtained."],
+        cla_dwight_data_age_seconds: ["gauge", "Age of the currently served data."],
+        cla_dwight_file_cache_used: ["gauge", "Whether the currently served data were read from the file cache after CLA assistant failed."],
+        cla_dwight_organization_up: ["gauge", "Whether the organization is served (0 when in error state)."],
+        cla_dwight_signatures: ["gauge", "Number of signatures by origin and revoked state."],
+        cla_dwight_http_requests_total: ["counter", "HTTP requests by route and status code."],
+        cla_dwight_http_request_duration_seconds: ["histogram", "Duration of HTTP requests by route and status code."],
+    };
+
+    // Increment a counter with the given labels
+    function countMetric(name, labels, value = 1)
+    {
+        const series = getMetricSeries(name, labels, () => ({ value: 0 }));
+        series.value += value;
+    }
+
+    // Record a value (in seconds) into a histogram with the given labels
+    function observeMetric(name, labels, value)
+    {
+        const series = getMetricSeries(name, labels, () => ({ buckets: new Array(METRIC_BUCKETS.length).fill(0), sum: 0, count: 0 }));
+        for (let i = 0; i < METRIC_BUCKETS.length; i++)
+            if (value <= METRIC_BUCKETS[i])
+                series.buckets[i]++;
+        series.sum += value;
+        series.count++;
+    }
+
+    // Record duration and outcome of a CLA assistant call, returns the original promise
+    function observeAssistantCall(org, call, promise)
+    {
+        const start = performance.now();
+        const observe = outcome => observeMetric("cla_dwight_assistant_request_duration_seconds",
+            { organization: org.name, call, outcome }, (performance.now() - start) / 1000);
+
+        return promise.then(
+            function (result) { observe("success"); return result; },
+            function (error) { observe("failure"); throw error; });
+    }
+
+    function getMetricSeries(name, labels, create)
+    {
+        let metric = globalMetrics.get(name);
+        if (!metric)
+            globalMetrics.set(name, metric = new Map());
+
+        const key = formatMetricLabels(labels);
+        let series = metric.get(key);
+        if (!series)
+            metric.set(key, series = create());
+
+        return series;
+    }
+
+    // Gauges describing the current data are computed when scraped
+    function collectDataMetrics()
+    {
+        const gauges = new Map();
+        const set = (name, labels, value) =>
+        {
+            if (!gauges.has(name))
+                gauges.set(name, new Map());
+            const metric = gauges.get(name);
+            const key = formatMetricLabels(labels);
+            metric.set(key, (metric.get(key) ?? 0) + value);
+        };
+
+        set("cla_dwight_assistant_breaker_open", {}, { open: 1, "half-open": 0.5 }[globalBreaker.state] ?? 0);
+
+        for (const org of globalOrganizations.values())
+        {
+            const organization = org.name;
+            set("cla_dwight_organization_up", { organization }, org.error ? 0 : 1);
+
+            const timestamp = org.signees?.timestamp;
+            if (!timestamp)
+                continue;
+
+            set("cla_dwight_data_timestamp_seconds", { organization }, timestamp.getTime() / 1000);
+            set("cla_dwight_data_age_seconds", { organization }, Math.max(0, (Date.now() - timestamp) / 1000));
+            set("cla_dwight_file_cache_used", { organization }, org.reloadStats?.cached ? 1 : 0);
+            set("cla_dwight_degraded_versions", { organization }, org.reloadStats?.degraded?.length ?? 0);
+
+            for (const signature of org.signatures.values())
+            {
+                const origin = (signature.origin || "").split("|")[0] || "unknown";
+                set("cla_dwight_signatures", { organization, origin, revoked: signature.revoked_at ? "true" : "false" }, 1);
+            }
+        }
+
+        return gauges;
+    }
+
+    // Format all metrics in the Prometheus text exposition format
+    function formatMetrics()
+    {
+        const lines = [];
+        const gauges = collectDataMetrics();
+
+        for (const [name, [type, help]] of Object.entries(METRIC_HELP))
+        {
+            const metric = type == "gauge" ? gauges.get(name) : globalMetrics.get(name);
+            if (!metric)
+                continue;
+
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, series] of metric)
+            {
+                if (type == "histogram")
+                {
+                    const prefix = labels ? labels + "," : "";
+                    METRIC_BUCKETS.forEach((bucket, i) => lines.push(`${name}_bucket{${prefix}le="${bucket}"} ${series.buckets[i]}`));
+                    lines.push(`${name}_bucket{${prefix}le="+Inf"} ${series.count}`);
+                    lines.push(`${name}_sum{${labels}} ${series.sum}`);
+                    lines.push(`${name}_count{${labels}} ${series.count}`);
+                }
+                else
+                    lines.push(`${name}{${labels}} ${type == "counter" ? series.value : series}`);
+            }
+        }
+
+        return lines.join("\n") + "\n";
+    }
+
+    // Labels are kept in the order given, which is the same for all series of a metric
+    function formatMetricLabels(labels)
+    {
+        return Object.entries(labels)
+            .map(([key, value]) => `${key}="${String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`)
+            .join(",");
+    }
+
+    //#endregion
+
+    return { start };
+}
+
+//#region Configuration
+
+// Merge the CLA_CONFIG file (YAML or JSON) with the configuration, non-empty settings of the configuration override the file
+// Returns { file, settings, sources } with the settings as strings formatted as the environment variables (missing
+// settings have the defaults from SETTINGS) and their source (file, environment or default), throws if any setting is invalid
+async function loadConfig(config)
+{
+    const file = config.CLA_CONFIG ? path.resolve(config.CLA_CONFIG) : null;
+    const errors = [];
+    const fileSettings = file ? await readConfigFile(file, errors) : {};
+
+    const settings = {};
+    const sources = {};
+    for (const [name, setting] of Object.entries(SETTINGS))
+    {
+        const value = config[name];
+        if (value !== undefined && value !== null && String(value) !== "")
+        {
+            settings[name] = String(value);
+            sources[name] = "environment";
+        }
+        else if (fileSettings[name] !== undefined)
+        {
+            settings[name] = fileSettings[name];
+            sources[name] = "file";
+        }
+        else if (setting.default !== undefined)
+        {
+            settings[name] = setting.default;
+            sources[name] = "default";
+        }
+        else
+            continue;
+
+        const error = await validateSetting(setting, settings[name]);
+        if (error)
+            errors.push(`${name} ${sources[name] == "file" ? "in " + file : "environment variable"} ${error}.`);
+    }
+
+    if (errors.length)
+        throw new Error("Invalid configuration: " + errors.join(" "));
+
+    return { file, settings, sources };
+}
+
+// Read settings from the CLA_CONFIG file as strings, lists can be arrays and relative paths are relative to the file
+// Problems are added to errors
+async function readConfigFile(file, errors)
+{
+    let data;
+    try
+    {
+        const text = await fs.readFile(file, { encoding: 'utf8' });
+        data = /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text) ?? {};
+    }
+    catch (ex)
+    {
+        errors.push(`Cannot read config file ${file}: ${ex.message}`);
+        return {};
+    }
+
+    if (typeof data != "object" || Array.isArray(data))
+    {
+        errors.push(`Config file ${file} must contain settings as name: value.`);
+        return {};
+    }
+
+    const settings = {};
+    for (const [name, value] of Object.entries(data))
+    {
+        const setting = SETTINGS[name];
+        if (!setting)
+        {
+            errors.push(`Unknown setting ${name} in ${file}.`);
+            continue;
+        }
+
+        const values = Array.isArray(value) && setting.list ? value : [value];
+        if (values.some(v => v !== null && typeof v == "object"))
+        {
+            errors.push(`${name} in ${file} must be ${setting.list ? "a list of values" : "a single value"}.`);
+            continue;
+        }
+
+        const text = values.filter(v => v !== null && v !== "").map(v =>
+        {
+            if (setting.type == "path" || setting.type == "file")
+                return path.resolve(path.dirname(file), String(v));
+            if (setting.type == "storage" && String(v).startsWith("sqlite:"))
+                return "sqlite:" + path.resolve(path.dirname(file), String(v).substring("sqlite:".length));
+            return String(v);
+        }).join(" ");
+
+        if (text)
+            settings[name] = text;
+    }
+    return settings;
+}
+
+// Returns what is wrong with a setting value (e.g. "must be an integer"), null if it is valid
+async function validateSetting(setting, value)
+{
+    const values = setting.list ? value.split(" ").filter(v => v) : [value];
+    const shown = setting.secret ? "" : ` (not ${JSON.stringify(value)})`;
+
+    for (const v of values)
+    {
+        switch (setting.type)
+        {
+            case "integer":
+                if (!/^\d+$/.test(v) || Number(v) < (setting.min ?? 0))
+                    return `must be ${setting.min ? "a positive" : "a non-negative"} integer${shown}`;
+                break;
+            case "url":
+                if (!URL.canParse(v) || !["http:", "https:"].includes(new URL(v).protocol))
+                    return `must be ${setting.list ? "space-separated http or https URLs" : "an http or https URL"}${shown}`;
+                break;
+            case "enum":
+                if (!setting.values.includes(v))
+                    return `must be ${setting.list ? "space-separated values of" : "one of"} ${setting.values.join(", ")}${shown}`;
+                break;
+            case "auth":
+                if (!/^[A-Za-z0-9+/]+={0,2}$/.test(v) || !Buffer.from(v, "base64").toString("utf8").includes(":"))
+                    return "must be space-separated base64-encoded username:password values";
+                break;
+            case "base":
+                if (!v.startsWith("/"))
+                    return `must start with /${shown}`;
+                break;
+            case "policy":
+                if (v.startsWith("after:") && isNaN(Date.parse(v.substring("after:".length))))
+                    return `has an invalid date${shown}`;
+                break;
+            case "storage":
+                if (v != "file" && !/^sqlite:./.test(v))
+                    return `must be file or sqlite:path${shown}`;
+                if (v != "file" && !await import('node:sqlite').catch(() => null))
+                    return `requires Node.js 22.13 or newer for sqlite:path (running ${process.versions.node})`;
+                break;
+            case "file":
+                try
+                {
+                    await fs.access(v, fs.constants.R_OK);
+                }
+                catch
+                {
+                    return `must be a readable file${shown}`;
+                }
+                break;
+        }
+    }
+    return null;
+}
+
+//#endregion
+
+//#region Logging
+
+// Create a logger, options give the minimum level(), the context() added to entries and format(entry) of their JSON lines
+// (all levels are written without context and formatting by default)
+function createLogger(options = {})
+{
+    return {
+        debug(message, fields) { writeLog("debug", message, fields, options); },
+        info(message, fields) { writeLog("info", message, fields, options); },
+        warn(message, fields) { writeLog("warn", message, fields, options); },
+        error(message, fields) { writeLog("error", message, fields, options); }
+    };
+}
+
+// Write a log entry, see logger
+function writeLog(level, message, fields, options)
+{
+    if (LOG_LEVELS.indexOf(level) < Math.max(0, LOG_LEVELS.indexOf(options.level?.())))
+        return;
+
+    const entry = { level, timestamp: new Date().toISOString(), ...options.context?.(), ...fields };
+    if (message instanceof Error)
+    {
+        entry.message = message.message;
+        entry.error = message;
+    }
+    else
+        entry.message = message;
+
+    if (entry.error instanceof Error)
+        entry.error = serializeError(entry.error);
+
+    const line = options.format ? options.format(entry) : JSON.stringify(entry);
+    (level == "warn" || level == "error" ? process.stderr : process.stdout).write(line + "\n");
+}
+
+function serializeError(error)
+{
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        status: error.response?.status,
+        stack: error.stack,
+        errors: error.errors?.map(serializeError),
+        cause: error.cause instanceof Error ? serializeError(error.cause) : undefined
+    };
+}
+
+//#endregion
+
+//#region Helpers
+
+// Checks whether a process with the given id is running (also when it belongs to another user)
+function isProcessRunning(pid)
+{
+    try
+    {
+        process.kill(pid, 0);
+        return true;
+    }
+    catch (ex)
+    {
+        return ex.code == "EPERM";
+    }
+}
+
+// Checks whether the authenticated client lacks the given scope (admin scope grants all the others)
+function needsAuthorization(request, scope)
+{
+    const scopes = request.auth?.scopes;
+    return !scopes || !(scopes.includes(scope) || scopes.includes("admin"));
+}
+
+// Gets the authenticated client's username
+function getUserName(request)
+{
+    return request.auth?.user ?? null;
+}
+
+// Gets the username the client claims in the basic authorization header (without checking the credentials)
+function getClaimedUserName(request)
+{
+    const auth = request.headers.authorization?.split(" ");
+    if (!auth || auth[0] != "Basic" || !auth[1])
+        return null;
+
+    return Buffer.from(auth[1], "base64").toString("utf8").split(":")[0];
+}
+
+// CLA can have custom fields (they can differ version to version),
+// collect all used ones (for putting them into a table)
+function collectCustomFields(signatures)
+{
+    const fields = signatures.reduce((set, signature) =>
+    {
+        if (signature.custom_fields)
+        {
+            const keys = Object.keys(signature.custom_fields);
+            if (keys) keys.forEach(set.add, set);
+        }
+        return set;
+    }, new Set());
+
+    return [...fields];
+}
+
+// Filter signatures by query parameters:
+//    ?from= and ?to= signed date, ?revoked=true|false, ?version= gist version, ?origin= (e.g. local)
+//    ?q= text to search in ?fields= (comma-separated, default user, name and email)
+function filterSignatures(signatures, query)
+{
+    const from = parseDateParam(query.from, /*endOfDay*/ false);
+    const to = parseDateParam(query.to, /*endOfDay*/ true);
+    const revoked = query.revoked == "true" ? true : query.revoked == "false" ? false : null;
+    const version = query.version || null;
+    const origin = query.origin || null;
+    const text = query.q ? String(query.q).toLowerCase() : null;
+    const fields = query.fields ? String(query.fields).split(",") : ["user", "name", "email"];
+
+    return signatures.filter(s =>
+        (!from || s.created_at >= from) &&
+        (!to || s.created_at <= to) &&
+        (revoked === null || !!s.revoked_at == revoked) &&
+        (!version || s.gist_version == version) &&
+        (!origin || s.origin == origin || (s.origin || "").split("|")[0] == origin) &&
+        (!text || fields.some(f => String(getSignatureField(s, f) ?? "").toLowerCase().includes(text))));
+}
+
+// Get a top-level signature property or a custom field value
+function getSignatureField(signature, field)
+{
+    if (field in signature && field != "custom_fields")
+        return signature[field];
+
+    return signature.custom_fields?.[field];
+}
+
+// Apply /list query parameters to signees: filter signatures (see filterSignatures), sort users and take a page
+// Sorting by ?sort= signed (default), version, user, revoked or a custom field, prefixed by - for descending order
+// Paging by ?pageSize= users (0 for all) and ?page= number or ?cursor= returned as next from the previous page
+// Signatures are passed through censor (e.g. removeAuthFields) if given
+function querySignees(signees, query, censor, defaultPageSize)
+{
+    const filtered = [];
+    let signatureCount = 0;
+    for (const [user, signatures] of signees)
+    {
+        const matching = filterSignatures(censor ? signatures.map(censor) : signatures, query);
+        if (matching.length > 0)
+        {
+            filtered.push([user, matching]);
+            signatureCount += matching.length;
+        }
+    }
+
+    filtered.sort(getSigneeSorter(query.sort));
+
+    const corporates = filterSignatures(censor ? signees.corporates.map(censor) : signees.corporates, query);
+
+    const pageSize = query.pageSize !== undefined ? parseInt(query.pageSize) : defaultPageSize;
+    if (!(pageSize >= 0))
+        throw new RangeError("Invalid page size.");
+
+    const total = filtered.length;
+    const pages = pageSize > 0 ? Math.max(1, Math.ceil(total / pageSize)) : 1;
+    let start = 0;
+
+    if (query.cursor)
+    {
+        const user = Buffer.from(String(query.cursor), "base64url").toString("utf8");
+        const index = filtered.findIndex(s => s[0] == user);
+        if (index < 0)
+            throw new RangeError("Invalid cursor.");
+        start = index + 1;
+    }
+    else if (query.page)
+    {
+        const page = parseInt(query.page);
+        if (!(page >= 1))
+            throw new RangeError("Invalid page.");
+        start = (page - 1) * pageSize;
+    }
+
+    const end = pageSize > 0 ? start + pageSize : total;
+    const page = filtered.slice(start, end);
+
+    return {
+        signees: page,
+        corporates,
+        total,
+        signatureCount,
+        pageSize,
+        page: pageSize > 0 ? Math.floor(start / pageSize) + 1 : 1,
+        pages,
+        next: end < total && page.length > 0 ? Buffer.from(page[page.length - 1][0]).toString("base64url") : null
+    };
+}
+
+// Comparer of [user, signatures] entries for the ?sort= parameter
+function getSigneeSorter(sort)
+{
+    if (!sort || sort == "-signed")
+        return signeeComparer;
+
+    const descending = sort.startsWith("-");
+    const field = descending ? sort.substring(1) : sort;
+    const property = { signed: "created_at", version: "gist_committed_at", revoked: "revoked_at" }[field] ?? field;
+
+    return function (a, b)
+    {
+        const valueA = getSignatureField(a[1][0], property);
+        const valueB = getSignatureField(b[1][0], property);
+
+        // missing values go last regardless of the order
+        if (valueA == null || valueA === "")
+            return valueB == null || valueB === "" ? a[0].localeCompare(b[0]) : 1;
+        if (valueB == null || valueB === "")
+            return -1;
+
+        const order = String(valueA).localeCompare(String(valueB), undefined, { sensitivity: "base", numeric: true });
+        return (descending ? -order : order) || a[0].localeCompare(b[0]);
+    };
+}
+
+// URL of the current request with some query parameters changed (undefined removes the parameter)
+function withQuery(request, changes)
+{
+    const url = new URL(request.originalUrl, "local://");
+    for (const parameter of ["reload", "success", "error"])
+        url.searchParams.delete(parameter);
+
+    for (const [key, value] of Object.entries(changes))
+        if (value === undefined)
+            url.searchParams.delete(key);
+        else
+            url.searchParams.set(key, value);
+
+    return url.pathname + url.search;
+}
+
+// Parse date query parameter into ISO string, date without time means start or end of the day (UTC)
+function parseDateParam(value, endOfDay)
+{
+    if (!value)
+        return null;
+
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value))
+        return value + "T23:59:59.999Z";
+
+    const date = new Date(value);
+    if (isNaN(date))
+        throw new RangeError("Invalid date: " + value);
+
+    return date.toISOString();
+}
+
+// Send signatures as CSV with custom fields flattened into columns
+function sendCsv(response, filename, signatures)
+{
+    response.attachment(filename);
+    response.type("text/csv; charset=utf-8");
+    response.send(formatCsv(signatures));
+}
+
+// CSV with a row per signature and a column per custom field (see sendCsv)
+// Custom fields named like other columns are prefixed with custom_fields. to keep the header unique
+export function formatCsv(signatures)
+{
+    const fields = collectCustomFields(signatures);
+    const columns = ["gist_filename", "gist_version", "gist_committed_at", "created_at", "revoked_at", "origin", "_id"];
+    const header = ["user", ...fields.map(f => f == "user" || columns.includes(f) ? "custom_fields." + f : f), ...columns];
+
+    const rows = [header.map(formatCsvValue).join(",")];
+    for (const signature of signatures)
+    {
+        const values = [signature.user, ...fields.map(f => signature.custom_fields?.[f]), ...columns.map(c => signature[c])];
+        rows.push(values.map(formatCsvValue).join(","));
+    }
+
+    // byte order mark makes Excel recognize UTF-8
+    return "\uFEFF" + rows.join("\r\n") + "\r\n";
+}
+
+// Quote CSV value if needed, and prevent spreadsheets from evaluating values as formulas
+function formatCsvValue(value)
+{
+    if (value === undefined || value === null)
+        return "";
+
+    let text = typeof value == "object" ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text))
+        text = "'" + text;
+
+    if (/[",\r\n]/.test(text))
+        text = '"' + text.replaceAll('"', '""') + '"';
+
+    return text;
+}
+
+// Parse CSV with a header row into objects keyed by the column names (trimmed), empty lines are skipped
+// With withLines, returns { line, values } with the line number (from 1) where the row starts in the text
+function parseCsv(text, withLines = false)
+{
+    const lines = [];
+    let line = [];
+    let value = "";
+    let quoted = false;
+    let number = 1;
+    let start = 1;
+
+    text = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < text.length; i++)
+    {
+        const c = text[i];
+        if (quoted)
+        {
+            if (c == '"' && text[i + 1] == '"')
+                value += text[i++];
+            else if (c == '"')
+                quoted = false;
+            else
+            {
+                if (c == "\n" || (c == "\r" && text[i + 1] != "\n"))
+                    number++;
+                value += c;
+            }
+        }
+        else if (c == '"')
+            quoted = true;
+        else if (c == ",")
+        {
+            line.push(value);
+            value = "";
+        }
+        else if (c == "\n" || c == "\r")
+        {
+            if (c == "\r" && text[i + 1] == "\n")
+                i++;
+            line.push(value);
+            lines.push({ line: start, values: line });
+            line = [];
+            value = "";
+            start = ++number;
+        }
+        else
+            value += c;
+    }
+
+    line.push(value);
+    lines.push({ line: start, values: line });
+
+    const nonEmpty = lines.filter(l => l.values.some(v => v.trim()));
+    const header = (nonEmpty.shift()?.values ?? []).map(h => h.trim());
+    const rows = nonEmpty.map(l => ({ line: l.line, values: Object.fromEntries(header.map((column, i) => [column, l.values[i]?.trim() ?? ""])) }));
+    return withLines ? rows : rows.map(r => r.values);
+}
+
+// Compare two Maps of signatures keyed by id, revoked signatures are not reported as updated
+function diffSignatures(previous, current)
+{
+    const diff = { added: [], revoked: [], updated: [], removed: [] };
+
+    for (const [id, signature] of current)
+    {
+        const old = previous.get(id);
+        if (!old)
+            diff.added.push(signature);
+        else if (signature.revoked_at && !old.revoked_at)
+            diff.revoked.push(signature);
+        else if (signature.updated_at != old.updated_at || signature.revoked_at != old.revoked_at)
+            diff.updated.push(signature);
+    }
+
+    for (const [id, signature] of previous)
+        if (!current.has(id))
+            diff.removed.push(signature);
+
+    return diff;
+}
+
+// Split a space, comma or new line separated list of values
+function splitList(value)
+{
+    if (Array.isArray(value))
+        return value.flatMap(splitList);
+
+    return (value || "").split(/[\s,;]+/).filter(v => v);
+}
+
+// Lower case e-mail domain without the @ prefix
+function normalizeDomain(domain)
+{
+    return domain.trim().replace(/^@/, "").toLowerCase();
+}
+
+// Naive date diff formatting
+function formatTimeSpan(ms)
+{
+    const DAY = 86400 * 1000;
+    const HOUR = 3600 * 1000;
+    const MINUTE = 60 * 1000;
+
+    const days = Math.floor(ms / DAY); ms -= days * DAY;
+    const hours = Math.floor(ms / HOUR); ms -= hours * HOUR;
+    const minutes = Math.floor(ms / MINUTE);
+
+    if (ms < MINUTE)
+        return "less than a minute";
+
+    var str = " ";
+
+    if (days > 0) str += days + " days ";
+    if (hours > 0) str += hours + " hours ";
+    if (minutes > 0) str += minutes + " minutes ";
+
+    return str.trim();
+}
+
+// Order by signed date descending, then version date descending
+function signatureComparer(a, b)
+{
+    // the dates are strings but in a sortable format
+    if (a.created_at < b.created_at) return 1;
+    if (a.created_at != b.created_at) return -1;
+
+    if (a.gist_committed_at < b.gist_committed_at) return 1;
+    if (a.gist_committed_at != b.gist_committed_at) return -1;
+
+    if (a.updated_at < b.updated_at) return 1;
+    if (a.updated_at != b.updated_at) return -1;
+    return 0;
+}
+
+// Order by the last signature
+function signeeComparer(a, b)
+{
+    // a, b Map entries, [1] signature array
+    let val = signatureComparer(a[1][0], b[1][0]);
+    return val;
+}
+
+// This is new URL(url, base) but allowing base to be relative
+function combineUrl(base, url)
+{
+    const absoluteBase = new URL(base, "local://");
+    const combined = new URL(url, absoluteBase);
+    if (combined.protocol == "local:")
+        return combined.pathname;
+
+    return combined;
+}
+
+//#endregion
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+//
+// CLA-dwight command line tool: checks CLA status, reloads, exports and manages local signatures
+//
+//    Works against a running instance over HTTP when --url (or CLA_DWIGHT_URL) is given, authenticating using
+//    --user username:password (or CLA_DWIGHT_USER) or --token (or CLA_DWIGHT_TOKEN) with the scopes the endpoints require.
+//    Otherwise works offline directly with CLA_FILECACHE, CLA_FILELOCAL and CLA_STORAGE, configured by environment
+//    variables and .env file as for server.mjs. Offline, only reload calls CLA-assistant, the other commands use
+//    the cached data and local signatures. Offline reload, local add and local revoke fail while a server using the same
+//    directories is running (see lockStateDirectories in cla-dwight.mjs), use --url or stop it first. Use --org to
+//    select an organization.
+//
+// Commands:
+//
+//    check <user...>        Checks CLA status of GitHub usernames or custom lookup field values, prints a line per user.
+//                           The exit code follows /list/username of the first user who has not signed:
+//                           0 all signed (200), 4 not found (404), 9 outdated (409), 10 revoked (410).
+//
+//    reload [--full]        Loads the most recent data from CLA-assistant (into the cache when offline).
+//
+//    export [--format csv|json] [--output file] [name=value...]
+//                           Exports signatures, optionally filtered by /list query parameters (e.g. revoked=false).
+//
+//    local list [--format text|json]
+//    local add <file> --name --email --signed [--employer] [--type corporate --company --users --domains] [--override]
+//    local revoke <id> [--revoked date]
+//                           Lists, uploads and revokes local signatures (put -- before ids starting with a dash).
+//
+//    cache inspect          Prints age, CLA versions and signature counts of the data (as json).
+//
+//    Other failures exit with 1 and invalid usage with 2.
+//
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { createClaDwight, formatCsv } from './cla-dwight.mjs';
+
+const USAGE = `Usage: cla-dwight <command> [options]
+
+Commands:
+  check <user...>
+  reload [--full]
+  export [--format csv|json] [--output file] [name=value...]
+  local list [--format text|json]
+  local add <file> --name <name> --email <email> --signed <date> [--employer <employer>]
+            [--type corporate --company <company> --users <users> --domains <domains>] [--override]
+  local revoke [--revoked <date>] [--] <id>
+  cache inspect
+
+Options:
+  --url <url>          URL of a running instance (CLA_DWIGHT_URL), offline if not set
+  --user <user:pass>   Basic authorization (CLA_DWIGHT_USER)
+  --token <token>      Bearer authorization (CLA_DWIGHT_TOKEN)
+  --org <name>         Organization (the first one by default)
+
+Offline, reload and local add/revoke require the server to be stopped, use --url while it runs.`;
+
+// exit codes of CLA status, see /list/username
+const STATUS_EXIT_CODES = { signed: 0, missing: 4, outdated: 9, revoked: 10 };
+
+const ARGS =
+{
+    url: { type: "string" },
+    user: { type: "string" },
+    token: { type: "string" },
+    org: { type: "string" },
+    format: { type: "string" },
+    output: { type: "string" },
+    full: { type: "boolean" },
+    name: { type: "string" },
+    email: { type: "string" },
+    employer: { type: "string" },
+    signed: { type: "string" },
+    type: { type: "string" },
+    company: { type: "string" },
+    users: { type: "string" },
+    domains: { type: "string" },
+    override: { type: "boolean" },
+    revoked: { type: "string" },
+    help: { type: "boolean", short: "h" }
+};
+
+try
+{
+    process.exitCode = await main(process.argv.slice(2));
+}
+catch (ex)
+{
+    console.error("ERROR: " + ex.message);
+    process.exitCode = 1;
+}
+
+async function main(argv)
+{
+    let args;
+    try
+    {
+        args = parseArgs({ args: argv, options: ARGS, allowPositionals: true });
+    }
+    catch (ex)
+    {
+        return usage(ex.message);
+    }
+
+    const { values: options, positionals: [command, ...params] } = args;
+    if (options.help || !command)
+        return usage();
+
+    dotenv.config();
+    options.url ??= process.env.CLA_DWIGHT_URL;
+    options.user ??= process.env.CLA_DWIGHT_USER;
+    options.token ??= process.env.CLA_DWIGHT_TOKEN;
+
+    switch (command + (["local", "cache"].includes(command) ? " " + params.shift() : ""))
+    {
+        case "check":
+            {
+                if (params.length < 1)
+                    return usage("No users to check.");
+
+                const client = await createClient(options);
+                const results = await client.check(params);
+                for (const result of results)
+                    console.log(`${result.user} ${result.status}`);
+
+                const unsigned = results.find(r => r.status != "signed");
+                return unsigned ? STATUS_EXIT_CODES[unsigned.status] ?? 1 : 0;
+            }
+        case "reload":
+            {
+                const client = await createClient(options, /*load*/ false);
+                printJson(await client.reload(options.full));
+                return 0;
+            }
+        case "export":
+            {
+                const format = options.format ?? "csv";
+                if (!["csv", "json"].includes(format))
+                    return usage("Export format must be csv or json.");
+
+                const query = parseQuery(params);
+                if (!query)
+                    return usage("Export filters must be name=value.");
+
+                const client = await createClient(options);
+                const data = await client.export(format, query);
+                const text = format == "json" ? JSON.stringify(data, null, 2) + "\n" : data;
+
+                if (options.output)
+                    await fs.writeFile(options.output, text);
+                else
+                    process.stdout.write(text);
+                return 0;
+            }
+        case "local list":
+            {
+                const client = await createClient(options);
+                const signatures = await client.listLocal();
+
+                if (options.format == "json")
+                    printJson(signatures);
+                else
+                    for (const s of signatures)
+                        console.log([s._id, s.created_at?.substring(0, 10), s.type ?? "individual", s.user, s.custom_fields?.name, s.revoked_at ? "revoked " + s.revoked_at.substring(0, 10) : ""].join("\t").trimEnd());
+                return 0;
+            }
+        case "local add":
+            {
+                const [filePath] = params;
+                if (!filePath)
+                    return usage("No CLA file to add.");
+
+                const fields = { name: options.name, email: options.email, employer: options.employer, signed: options.signed, type: options.type, company: options.company, users: options.users, domains: options.domains, override: options.override ? "true" : undefined };
+                for (const key of Object.keys(fields))
+                    if (fields[key] === undefined)
+                        delete fields[key];
+
+                const client = await createClient(options);
+                console.log(await client.addLocal(filePath, fields));
+                return 0;
+            }
+        case "local revoke":
+            {
+                const [id] = params;
+                if (!id)
+                    return usage("No signature id to revoke.");
+
+                const client = await createClient(options);
+                console.log(await client.revokeLocal(id, options.revoked));
+                return 0;
+            }
+        case "cache inspect":
+            {
+                const client = await createClient(options);
+                printJson(await client.inspect());
+                return 0;
+            }
+        default:
+            return usage(`Unknown command ${command}.`);
+    }
+}
+
+function usage(message)
+{
+    if (message)
+        console.error("ERROR: " + message + "\n");
+
+    console.error(USAGE);
+    return message ? 2 : 0;
+}
+
+function printJson(value)
+{
+    console.log(JSON.stringify(value, null, 2));
+}
+
+// Query parameters of /list from name=value arguments, null if any is malformed
+function parseQuery(params)
+{
+    const query = {};
+    for (const param of params)
+    {
+        const separator = param.indexOf("=");
+        if (separator < 1)
+            return null;
+
+        query[param.substring(0, separator)] = param.substring(separator + 1);
+    }
+    return query;
+}
+
+// Client of a running instance if a URL is given, offline client otherwise
+function createClient(options, load)
+{
+    return options.url ? createHttpClient(options) : createOfflineClient(options, load);
+}
+
+// Client calling the endpoints of a running instance
+function createHttpClient(options)
+{
+    let base = options.url.endsWith("/") ? options.url : options.url + "/";
+    if (options.org)
+        base += "org/" + encodeURIComponent(options.org) + "/";
+
+    const authorization = options.user ? "Basic " + Buffer.from(options.user).toString("base64")
+        : options.token ? "Bearer " + options.token
+        : undefined;
+
+    // fails with the status and the response text unless the request succeeds
+    async function send(url, init = {})
+    {
+        let response;
+        try
+        {
+            response = await fetch(new URL(url, base), { ...init, headers: { Authorization: authorization, ...init.headers } });
+        }
+        catch (ex)
+        {
+            throw new Error(`Cannot connect to ${base}: ${ex.cause?.message ?? ex.message}`);
+        }
+
+        if (!response.ok)
+            throw new Error(`${response.status} ${(await response.text()) || response.statusText}`);
+
+        return response;
+    }
+
+    return {
+        async check(users)
+        {
+            const response = await send("check", { method: "POST", headers: { "Content-Type": "application/json", Accept: "application/json" }, body: JSON.stringify(users) });
+            return await response.json();
+        },
+
+        async reload(full)
+        {
+            await send("reload" + (full ? "?full=true" : ""));
+            const response = await send("status", { headers: { Accept: "application/json" } });
+            return (await response.json()).reload;
+        },
+
+        async export(format, query)
+        {
+            const response = await send("list?" + new URLSearchParams({ ...query, format }));
+            return format == "json" ? await response.json() : await response.text();
+        },
+
+        async listLocal()
+        {
+            const response = await send("list?" + new URLSearchParams({ origin: "local", format: "json" }));
+            const list = await response.json();
+            return [...list.signatures, ...list.corporates];
+        },
+
+        async addLocal(filePath, fields)
+        {
+            const form = new FormData();
+            for (const [name, value] of Object.entries(fields))
+                form.append(name, value);
+            form.append("cla", new Blob([await fs.readFile(filePath)]), path.basename(filePath));
+
+            const response = await send("list", { method: "POST", body: form, headers: { Accept: "text/plain" } });
+            return await response.text();
+        },
+
+        async revokeLocal(id, revoked)
+        {
+            const body = new URLSearchParams(revoked ? { revoked } : {});
+            const response = await send(`local/${encodeURIComponent(id)}/revoke`, { method: "POST", body, headers: { Accept: "text/plain" } });
+            return await response.text();
+        },
+
+        async inspect()
+        {
+            const response = await send("status", { headers: { Accept: "application/json" } });
+            return {
+                timestamp: response.headers.get("X-CLA-Data-Timestamp"),
+                age: Number(response.headers.get("X-CLA-Data-Age")),
+                ...await response.json()
+            };
+        }
+    };
+}
+
+// Client using the cache and local signatures directly (see createClaDwight)
+async function createOfflineClient(options, load = "cache")
+{
+    // command output goes to stdout, logs of warnings and errors to stderr
+    const { service } = await createClaDwight({ ...process.env, CLA_LOG_LEVEL: "warn" }, { load });
+    const scope = { organization: options.org, user: os.userInfo().username };
+
+    return {
+        check(users)
+        {
+            return users.map(user => service.checkUser(user, scope));
+        },
+
+        reload(full)
+        {
+            return service.reload({ ...scope, full });
+        },
+
+        export(format, query)
+        {
+            const list = service.listSignatures(query, scope);
+            return format == "json" ? list : formatCsv([...list.signatures, ...list.corporates]);
+        },
+
+        listLocal()
+        {
+            const list = service.listSignatures({ origin: "local" }, scope);
+            return [...list.signatures, ...list.corporates];
+        },
+
+        async addLocal(filePath, fields)
+        {
+            await service.addLocalSignature(fields, filePath, scope);
+            return "CLA added succesfully.";
+        },
+
+        async revokeLocal(id, revoked)
+        {
+            await service.revokeLocalSignature(id, { ...scope, revoked });
+            return "CLA revoked succesfully.";
+        },
+
+        inspect()
+        {
+            return service.getStatus(scope);
+        }
+    };
+}
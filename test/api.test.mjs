@@ -0,0 +1,171 @@
+// Tests of CLA-dwight created in-process using createClaDwight
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { createClaDwight, formatCsv } from '../cla-dwight.mjs';
+
+describe("createClaDwight", () =>
+{
+    let mock;
+    let directory;
+    let service;
+    let server;
+    let url;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+
+        let router;
+        ({ router, service } = await createClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_FILELOCAL: path.join(directory, "local"),
+                CLA_LOG_LEVEL: "warn",
+                CLA_RETRIES: "0"
+            }));
+
+        // embedded in another app under a prefix
+        const app = express();
+        app.use("/cla", router);
+        server = await new Promise(resolve =>
+        {
+            const server = app.listen(0, "127.0.0.1", () => resolve(server));
+        });
+        url = `http://127.0.0.1:${server.address().port}/cla`;
+    });
+
+    after(async () =>
+    {
+        await new Promise(resolve => server?.close(resolve));
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it("can be created more than once with separate settings", async () =>
+    {
+        const { service: other } = await createClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_LOOKUP_FIELDS: "email",
+                CLA_LOG_LEVEL: "warn",
+                CLA_RETRIES: "0"
+            });
+
+        assert.equal(other.checkUser("carol@example.org").status, "signed");
+        assert.equal(service.checkUser("carol@example.org").status, "missing");
+        assert.equal(other.getConfig().settings.CLA_FILELOCAL, undefined);
+        assert.equal(service.getConfig().settings.CLA_FILELOCAL, path.join(directory, "local"));
+    });
+
+    it("can be created again after a failed start", async () =>
+    {
+        const organizations = path.join(directory, "organizations.json");
+        await fs.writeFile(organizations, JSON.stringify([{ name: "invalid name", orgId: "2", orgToken: "token" }]));
+
+        const config = { CLA_ASSISTANT_URL: mock.url, CLA_ORGANIZATIONS: organizations, CLA_LOG_LEVEL: "warn", CLA_RETRIES: "0" };
+        await assert.rejects(createClaDwight(config), /Invalid organization name/);
+
+        await fs.writeFile(organizations, JSON.stringify([{ name: "acme", orgId: "1", orgToken: "token" }]));
+        const { service: other } = await createClaDwight(config);
+        assert.equal(other.checkUser("alice", { organization: "acme" }).status, "signed");
+    });
+
+    it("serves the endpoints when mounted", async () =>
+    {
+        const response = await fetch(url + "/list/alice");
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), "OK");
+    });
+
+    it("checks users", () =>
+    {
+        assert.equal(service.checkUser("alice").status, "signed");
+        assert.equal(service.checkUser("bob").status, "revoked");
+        assert.equal(service.checkUser("mallory").status, "missing");
+        assert.deepEqual(service.checkUser("alice").ids, ["sig-alice-v2", "sig-alice-v1"]);
+    });
+
+    it("gets signatures", () =>
+    {
+        assert.equal(service.getSignature("sig-carol-v2").user, "carol");
+        assert.equal(service.getSignature("unknown"), null);
+    });
+
+    it("lists signatures", () =>
+    {
+        const all = service.listSignatures();
+        assert.equal(all.total, 3);
+        assert.equal(all.signatures.length, 4);
+
+        const revoked = service.listSignatures({ revoked: "true" });
+        assert.deepEqual(revoked.signatures.map(s => s._id), ["sig-bob-v1"]);
+    });
+
+    it("rejects unknown organizations", () =>
+    {
+        assert.throws(() => service.checkUser("alice", { organization: "unknown" }), /Unknown organization/);
+    });
+
+    it("adds local signatures", async () =>
+    {
+        const filePath = path.join(directory, "dave.pdf");
+        await fs.writeFile(filePath, "%PDF-1.4\n%dave\n");
+
+        const signature = await service.addLocalSignature({ name: "Dave Davis", email: "dave@example.com", signed: "2025-01-15" }, filePath, { user: "script" });
+        assert.equal(signature.origin, "local|script");
+        assert.equal(service.checkUser("dave@example.com").status, "signed");
+
+        // the file is copied
+        await fs.access(filePath);
+
+        await assert.rejects(service.addLocalSignature({ name: "Dave Davis", email: "dave@example.com", signed: "2025-02-01" }, filePath),
+            /already been uploaded/);
+        await assert.rejects(service.addLocalSignature({ name: "Dave Davis", signed: "2025-02-01" }, filePath),
+            /^Error: E-mail is required\.$/);
+    });
+
+    it("reloads data", async () =>
+    {
+        const stats = await service.reload();
+        assert.equal(stats.cached, false);
+        assert.deepEqual(stats.degraded, []);
+
+        // local signatures are kept
+        assert.equal(service.checkUser("dave@example.com").status, "signed");
+    });
+});
+
+describe("formatCsv", () =>
+{
+    it("prefixes custom fields named like other columns", () =>
+    {
+        const csv = formatCsv(
+            [
+                { _id: "sig-1", user: "alice", origin: "sign-page", custom_fields: { name: "Alice", user: "alice-corp", origin: "form" } },
+                { _id: "sig-2", user: "bob", origin: "local|admin", custom_fields: { name: "Bob" } }
+            ]);
+
+        const [header, alice, bob] = csv.replace(/^\uFEFF/, "").trim().split("\r\n");
+        const columns = header.split(",");
+        assert.equal(new Set(columns).size, columns.length);
+        assert.deepEqual(columns.slice(0, 4), ["user", "name", "custom_fields.user", "custom_fields.origin"]);
+
+        const values = Object.fromEntries(columns.map((column, i) => [column, alice.split(",")[i]]));
+        assert.equal(values.user, "alice");
+        assert.equal(values["custom_fields.user"], "alice-corp");
+        assert.equal(values.origin, "sign-page");
+        assert.equal(values["custom_fields.origin"], "form");
+        assert.equal(bob.split(",")[columns.indexOf("custom_fields.user")], "");
+    });
+});
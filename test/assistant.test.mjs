@@ -0,0 +1,135 @@
+// Tests of failures of the CLA assistant: degraded versions, retries with Retry-After and the circuit breaker
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const ADMIN_AUTH = basicAuth("admin", "admin-password");
+
+describe("CLA assistant failures", () =>
+{
+    let mock;
+    let env;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        env =
+        {
+            CLA_ASSISTANT_URL: mock.url,
+            GITHUB_ORGID: "1",
+            GITHUB_ORGTOKEN: "test-token",
+            CLA_ADMIN_AUTH: ADMIN_AUTH.substring("Basic ".length)
+        };
+    });
+
+    after(async () =>
+    {
+        await mock?.close();
+    });
+
+    async function getSelfCheck(server)
+    {
+        const response = await server.request("/status?verbose", { headers: { Accept: "application/json", Authorization: ADMIN_AUTH } });
+        return response.json();
+    }
+
+    it("keeps the previous signatures of a failing version", async () =>
+    {
+        const server = await startClaDwight(env);
+        try
+        {
+            mock.failingVersions.add("v2");
+            assert.equal((await server.request("/reload")).status, 200);
+
+            const response = await server.request("/status", { headers: { Accept: "application/json" } });
+            const { reload } = await response.json();
+            assert.deepEqual(reload.degraded, ["v2"]);
+            assert.equal(reload.full, false);
+
+            assert.equal((await server.request("/list/carol")).status, 200);
+            assert.equal((await server.request("/list/alice")).status, 200);
+        }
+        finally
+        {
+            mock.failingVersions.clear();
+            await server.stop();
+        }
+    });
+
+    it("retries after the delay asked for by Retry-After", async () =>
+    {
+        const server = await startClaDwight({ ...env, CLA_RETRIES: "1", CLA_RETRY_DELAY: "10" });
+        try
+        {
+            const requests = mock.requests.length;
+            mock.failures.push({ status: 429, headers: { "Retry-After": "1" } });
+            assert.equal((await server.request("/reload")).status, 200);
+
+            const [failed, retried] = mock.requests.slice(requests);
+            assert.equal(failed.call, "getGist");
+            assert.equal(retried.call, "getGist");
+            assert.ok(retried.time - failed.time >= 900, `retried after ${retried.time - failed.time} ms`);
+        }
+        finally
+        {
+            await server.stop();
+        }
+    });
+
+    it("does not retry if Retry-After is longer than CLA_RETRY_MAX_DELAY", async () =>
+    {
+        const server = await startClaDwight({ ...env, CLA_RETRIES: "1", CLA_RETRY_MAX_DELAY: "5000" });
+        try
+        {
+            const requests = mock.requests.length;
+            mock.failures.push({ status: 429, headers: { "Retry-After": "60" } });
+            assert.equal((await server.request("/reload")).status, 500);
+            assert.equal(mock.requests.length - requests, 1);
+
+            const check = await getSelfCheck(server);
+            assert.equal(check.assistant.lastCall.status, 429);
+        }
+        finally
+        {
+            mock.failures.length = 0;
+            await server.stop();
+        }
+    });
+
+    it("opens the circuit breaker after CLA_BREAKER_THRESHOLD failures and closes it after the cooldown", async () =>
+    {
+        const server = await startClaDwight({ ...env, CLA_BREAKER_THRESHOLD: "2", CLA_BREAKER_COOLDOWN: "1000" });
+        try
+        {
+            assert.equal((await getSelfCheck(server)).assistant.breaker.state, "closed");
+
+            mock.failing = true;
+            assert.equal((await server.request("/reload")).status, 500);
+            assert.deepEqual((await getSelfCheck(server)).assistant.breaker, { state: "closed", failures: 1 });
+            assert.equal((await server.request("/reload")).status, 500);
+
+            const { breaker } = (await getSelfCheck(server)).assistant;
+            assert.equal(breaker.state, "open");
+            assert.equal(breaker.failures, 2);
+            assert.ok(Date.parse(breaker.retryAt) > Date.now());
+
+            // calls fail without reaching the CLA assistant while open
+            const requests = mock.requests.length;
+            assert.equal((await server.request("/reload")).status, 500);
+            assert.equal(mock.requests.length, requests);
+
+            mock.failing = false;
+            await new Promise(resolve => setTimeout(resolve, Date.parse(breaker.retryAt) - Date.now() + 100));
+            assert.equal((await server.request("/reload")).status, 200);
+            assert.deepEqual((await getSelfCheck(server)).assistant.breaker, { state: "closed", failures: 0 });
+            assert.equal((await server.request("/status")).status, 200);
+        }
+        finally
+        {
+            mock.failing = false;
+            await server.stop();
+        }
+    });
+});
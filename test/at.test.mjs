@@ -0,0 +1,87 @@
+// Tests of point-in-time queries (?at=) of /list/username and /get/id with CLA_VERSION_POLICY
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { startClaDwight } from './helpers.mjs';
+
+describe("point-in-time queries", () =>
+{
+    let mock;
+    let server;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_VERSION_POLICY: "latest"
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+    });
+
+    async function getCoverage(url)
+    {
+        const response = await server.request(url, { headers: { Accept: "application/json" } });
+        assert.equal(response.status, 200);
+        return response.json();
+    }
+
+    it("accepts the latest version committed by then", async () =>
+    {
+        const response = await server.request("/list/alice?at=2023-06-01");
+        assert.equal(response.status, 200);
+
+        const coverage = await getCoverage("/list/alice?at=2023-06-01");
+        assert.equal(coverage.status, "signed");
+        assert.equal(coverage.signature._id, "sig-alice-v1");
+    });
+
+    it("reports signatures of versions not accepted then as outdated", async () =>
+    {
+        const response = await server.request("/list/alice?at=2024-01-15");
+        assert.equal(response.status, 409);
+        assert.equal(await response.text(), "Outdated");
+        assert.equal(response.headers.get("X-CLA-Signed-Versions"), "v1");
+        assert.equal(response.headers.get("X-CLA-Required-Versions"), "v2");
+
+        const coverage = await getCoverage("/list/alice?at=2024-01-15");
+        assert.equal(coverage.status, "outdated");
+        assert.equal(coverage.signature._id, "sig-alice-v1");
+        assert.deepEqual(coverage.signedVersions, ["v1"]);
+        assert.deepEqual(coverage.requiredVersions, ["v2"]);
+    });
+
+    it("covers users who signed the accepted version by then", async () =>
+    {
+        assert.equal((await server.request("/list/alice?at=2024-03-01")).status, 200);
+        assert.equal((await getCoverage("/list/alice?at=2024-03-01")).signature._id, "sig-alice-v2");
+    });
+
+    it("applies the policy to single signatures", async () =>
+    {
+        assert.equal((await server.request("/get/sig-alice-v1?at=2023-06-01")).status, 200);
+        assert.equal((await server.request("/get/sig-alice-v1?at=2025-01-01")).status, 409);
+        assert.equal((await getCoverage("/get/sig-alice-v1?at=2025-01-01")).status, "outdated");
+    });
+
+    it("reports revoked and missing signatures", async () =>
+    {
+        assert.equal((await server.request("/list/bob?at=2022-01-01")).status, 200);
+        assert.equal((await server.request("/list/bob?at=2023-01-01")).status, 410);
+        assert.equal((await server.request("/list/carol?at=2024-02-01")).status, 404);
+    });
+
+    it("rejects invalid times", async () =>
+    {
+        assert.equal((await server.request("/list/alice?at=garbage")).status, 400);
+    });
+});
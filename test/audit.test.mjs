@@ -0,0 +1,125 @@
+// Tests of the CLA_AUDITLOG hash chain and /audit
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const SIGN_AUTH = basicAuth("signer", "signer-password");
+const ADMIN_AUTH = basicAuth("admin", "admin-password");
+const PDF = "%PDF-1.4\n%test\n";
+
+describe("audit log", () =>
+{
+    let mock;
+    let server;
+    let directory;
+    let signatureId;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_SIGN_AUTH: SIGN_AUTH.substring("Basic ".length),
+                CLA_ADMIN_AUTH: ADMIN_AUTH.substring("Basic ".length),
+                CLA_FILELOCAL: path.join(directory, "local"),
+                CLA_AUDITLOG: path.join(directory, "audit")
+            });
+
+        // an upload and a rejected credential after the reload at startup
+        const form = new FormData();
+        for (const [name, value] of Object.entries({ name: "Dave Davis", email: "dave@example.com", employer: "none", signed: "2025-01-15" }))
+            form.append(name, value);
+        form.append("cla", new Blob([PDF]), "cla.pdf");
+        assert.equal((await server.request("/list", { method: "POST", body: form, headers: { Authorization: SIGN_AUTH } })).status, 200);
+
+        const response = await server.request("/list/dave@example.com", { headers: { Accept: "application/json" } });
+        signatureId = (await response.json())[0]._id;
+
+        assert.equal((await server.request("/audit", { headers: { Authorization: basicAuth("mallory", "guess") } })).status, 401);
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    async function getAudit(query = "")
+    {
+        const response = await server.request("/audit" + query, { headers: { Accept: "application/json", Authorization: ADMIN_AUTH } });
+        assert.equal(response.status, 200);
+        return response.json();
+    }
+
+    it("requires the admin scope", async () =>
+    {
+        assert.equal((await server.request("/audit")).status, 401);
+        assert.equal((await server.request("/audit", { headers: { Authorization: SIGN_AUTH } })).status, 401);
+    });
+
+    it("records the actions in a hash chain", async () =>
+    {
+        const { verified, brokenAt, entries } = await getAudit();
+        assert.equal(verified, true);
+        assert.equal(brokenAt, null);
+        assert.deepEqual(entries.map(e => [e.action, e.user]),
+            [["reload", null], ["signature.upload", "signer"], ["auth.failed", "mallory"], ["auth.failed", "signer"]]);
+
+        for (const [index, entry] of entries.entries())
+        {
+            assert.equal(entry.seq, index + 1);
+            assert.equal(entry.prev, index ? entries[index - 1].hash : null);
+            assert.match(entry.hash, /^[0-9a-f]{64}$/);
+        }
+    });
+
+    it("filters the entries", async () =>
+    {
+        assert.deepEqual((await getAudit("?action=signature.upload")).entries.map(e => e.id), [signatureId]);
+        assert.deepEqual((await getAudit("?user=mallory")).entries.map(e => e.action), ["auth.failed"]);
+        assert.deepEqual((await getAudit("?id=" + signatureId)).entries.map(e => e.action), ["signature.upload"]);
+
+        const today = new Date().toISOString().substring(0, 10);
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+        assert.equal((await getAudit("?from=" + today + "&to=" + today)).entries.length, 4);
+        assert.equal((await getAudit("?from=" + tomorrow)).entries.length, 0);
+        assert.equal((await getAudit("?to=2020-01-01")).entries.length, 0);
+    });
+
+    it("rejects invalid dates", async () =>
+    {
+        for (const query of ["?from=garbage", "?to=garbage"])
+        {
+            const response = await server.request("/audit" + query, { headers: { Authorization: ADMIN_AUTH } });
+            assert.equal(response.status, 400);
+            assert.equal(await response.text(), "Invalid date: garbage");
+        }
+    });
+
+    it("detects modified entries", async () =>
+    {
+        const file = path.join(directory, "audit", "audit.jsonl");
+        const lines = (await fs.readFile(file, { encoding: 'utf8' })).split("\n");
+        const entry = JSON.parse(lines[1]);
+        entry.user = "someone-else";
+        lines[1] = JSON.stringify(entry);
+        await fs.writeFile(file, lines.join("\n"));
+
+        const response = await server.request("/audit", { headers: { Accept: "application/json", Authorization: ADMIN_AUTH } });
+        assert.equal(response.headers.get("X-Audit-Verified"), "false");
+
+        const { verified, brokenAt } = await response.json();
+        assert.equal(verified, false);
+        assert.equal(brokenAt, 2);
+    });
+});
@@ -0,0 +1,133 @@
+// Tests of authentication using bearer API tokens (CLA_API_TOKENS) and JWTs (CLA_JWT_JWKS)
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import crypto from 'node:crypto';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import * as jose from 'jose';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { startClaDwight } from './helpers.mjs';
+
+const AUDIENCE = "cla-dwight";
+
+describe("authentication", () =>
+{
+    let mock;
+    let server;
+    let directory;
+    let tokensFile;
+    let key;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+
+        tokensFile = path.join(directory, "tokens.json");
+        await writeTokens(
+            [
+                { name: "reader", token: "read-token", scopes: ["read"] },
+                { name: "signer", token: "sign-token", scopes: ["sign"] },
+                { name: "expired", token: "expired-token", scopes: ["read"], expires: "2020-01-01" }
+            ]);
+
+        key = await jose.generateKeyPair("ES256");
+        const jwk = { ...await jose.exportJWK(key.publicKey), kid: "test", alg: "ES256" };
+        await fs.writeFile(path.join(directory, "jwks.json"), JSON.stringify({ keys: [jwk] }));
+
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_API_TOKENS: tokensFile,
+                CLA_JWT_JWKS: path.join(directory, "jwks.json"),
+                CLA_JWT_AUDIENCE: AUDIENCE
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    // tokens file with the hashes of the given tokens
+    async function writeTokens(tokens)
+    {
+        const entries = tokens.map(({ token, ...entry }) => ({ ...entry, hash: crypto.createHash("sha256").update(token).digest("hex") }));
+        await fs.writeFile(tokensFile, JSON.stringify(entries));
+    }
+
+    async function createJwt(claims, { signingKey = key.privateKey, audience = AUDIENCE, expires = "5m" } = {})
+    {
+        return new jose.SignJWT(claims)
+            .setProtectedHeader({ alg: "ES256", kid: "test" })
+            .setSubject("jwt-user")
+            .setAudience(audience)
+            .setIssuedAt()
+            .setExpirationTime(expires)
+            .sign(signingKey);
+    }
+
+    async function list(token)
+    {
+        const headers = token ? { Authorization: "Bearer " + token } : {};
+        return (await server.request("/list", { headers: { Accept: "application/json", ...headers } })).status;
+    }
+
+    describe("API tokens", () =>
+    {
+        it("grants the scopes of the token", async () =>
+        {
+            assert.equal(await list(), 401);
+            assert.equal(await list("read-token"), 200);
+            assert.equal(await list("sign-token"), 401);
+        });
+
+        it("rejects unknown and expired tokens", async () =>
+        {
+            assert.equal(await list("unknown-token"), 401);
+            assert.equal(await list("expired-token"), 401);
+        });
+
+        it("reads the tokens again when the file changes", async () =>
+        {
+            await writeTokens([{ name: "rotated", token: "rotated-token", scopes: ["read"] }]);
+
+            assert.equal(await list("rotated-token"), 200);
+            assert.equal(await list("read-token"), 401);
+        });
+    });
+
+    describe("JWTs", () =>
+    {
+        it("grants the scopes of a space-separated scope claim", async () =>
+        {
+            assert.equal(await list(await createJwt({ scope: "openid read" })), 200);
+            assert.equal(await list(await createJwt({ scope: "openid sign" })), 401);
+        });
+
+        it("grants the scopes of a space-separated scp claim", async () =>
+        {
+            assert.equal(await list(await createJwt({ scp: "openid read" })), 200);
+        });
+
+        it("grants the scopes of an scp array", async () =>
+        {
+            assert.equal(await list(await createJwt({ scp: ["openid", "read"] })), 200);
+            assert.equal(await list(await createJwt({ scp: ["sign"] })), 401);
+        });
+
+        it("rejects tokens of other keys, audiences or expired", async () =>
+        {
+            const other = await jose.generateKeyPair("ES256");
+            assert.equal(await list(await createJwt({ scope: "read" }, { signingKey: other.privateKey })), 401);
+            assert.equal(await list(await createJwt({ scope: "read" }, { audience: "other" })), 401);
+            assert.equal(await list(await createJwt({ scope: "read" }, { expires: Math.floor(Date.now() / 1000) - 60 })), 401);
+        });
+    });
+});
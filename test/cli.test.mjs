@@ -0,0 +1,208 @@
+// Tests of the command line tool against a running instance and offline
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, runCli, startClaDwight } from './helpers.mjs';
+
+const ADMIN = "admin:admin-password";
+
+describe("cli.mjs", () =>
+{
+    let mock;
+    let server;
+    let directory;
+    let env; // offline configuration, the same as of the server
+    let remote;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        env =
+        {
+            CLA_ASSISTANT_URL: mock.url,
+            GITHUB_ORGID: "1",
+            GITHUB_ORGTOKEN: "test-token",
+            CLA_ADMIN_AUTH: basicAuth(...ADMIN.split(":")).substring("Basic ".length),
+            CLA_FILECACHE: path.join(directory, "cache"),
+            CLA_FILELOCAL: path.join(directory, "local")
+        };
+        server = await startClaDwight(env);
+        remote = { CLA_DWIGHT_URL: server.url, CLA_DWIGHT_USER: ADMIN };
+
+        await fs.writeFile(path.join(directory, "dave.pdf"), "%PDF-1.4\n%dave\n");
+        await fs.writeFile(path.join(directory, "erin.pdf"), "%PDF-1.4\n%erin\n");
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it("prints usage", async () =>
+    {
+        assert.equal((await runCli(["--help"])).code, 0);
+
+        const result = await runCli(["unknown"]);
+        assert.equal(result.code, 2);
+        assert.match(result.stderr, /Unknown command/);
+    });
+
+    describe("with --url", () =>
+    {
+        it("exits with the status of the user", async () =>
+        {
+            const alice = await runCli(["check", "alice"], remote);
+            assert.equal(alice.code, 0);
+            assert.equal(alice.stdout, "alice signed\n");
+
+            assert.equal((await runCli(["check", "bob"], remote)).code, 10);
+            assert.equal((await runCli(["check", "mallory"], remote)).code, 4);
+        });
+
+        it("exits with the status of the first user who has not signed", async () =>
+        {
+            const result = await runCli(["check", "alice", "mallory", "bob"], remote);
+            assert.equal(result.code, 4);
+            assert.equal(result.stdout, "alice signed\nmallory missing\nbob revoked\n");
+        });
+
+        it("exports signatures", async () =>
+        {
+            const csv = await runCli(["export"], remote);
+            assert.equal(csv.code, 0);
+            assert.equal(csv.stdout.trim().split("\r\n").length, 5);
+
+            const json = await runCli(["export", "--format", "json", "revoked=true"], remote);
+            assert.deepEqual(JSON.parse(json.stdout).signatures.map(s => s._id), ["sig-bob-v1"]);
+        });
+
+        it("manages local signatures", async () =>
+        {
+            const add = await runCli(["local", "add", path.join(directory, "dave.pdf"), "--name", "Dave Davis", "--email", "dave@example.com", "--signed", "2025-01-15"], remote);
+            assert.equal(add.code, 0);
+            assert.equal(add.stdout, "CLA added succesfully.\n");
+
+            const duplicate = await runCli(["local", "add", path.join(directory, "dave.pdf"), "--name", "Dave Davis", "--email", "dave@example.com", "--signed", "2025-02-01"], remote);
+            assert.equal(duplicate.code, 1);
+            assert.match(duplicate.stderr, /^ERROR: 400 ERROR: The same CLA file has already been uploaded/);
+
+            const list = await runCli(["local", "list", "--format", "json"], remote);
+            const [signature] = JSON.parse(list.stdout);
+            assert.equal(signature.user, "dave@example.com");
+            assert.equal(signature.origin, "local|admin");
+
+            // ids may start with a dash
+            const revoke = await runCli(["local", "revoke", "--", signature._id], remote);
+            assert.equal(revoke.code, 0);
+            assert.equal((await runCli(["check", "dave@example.com"], remote)).code, 10);
+        });
+
+        it("reloads data", async () =>
+        {
+            const result = await runCli(["reload"], remote);
+            assert.equal(result.code, 0);
+            assert.equal(JSON.parse(result.stdout).cached, false);
+        });
+
+        it("fails without authorization", async () =>
+        {
+            const result = await runCli(["export"], { CLA_DWIGHT_URL: server.url });
+            assert.equal(result.code, 1);
+            assert.match(result.stderr, /^ERROR: 401/);
+        });
+    });
+
+    describe("offline", () =>
+    {
+        it("exits with the status of the user", async () =>
+        {
+            assert.equal((await runCli(["check", "alice"], env)).code, 0);
+            assert.equal((await runCli(["check", "bob"], env)).code, 10);
+            assert.equal((await runCli(["check", "dave@example.com"], env)).code, 10);
+            assert.equal((await runCli(["check", "mallory"], env)).code, 4);
+        });
+
+        it("does not call CLA assistant", async () =>
+        {
+            const requests = mock.requests.length;
+            await runCli(["check", "alice"], env);
+            assert.equal(mock.requests.length, requests);
+        });
+
+        it("inspects the cache", async () =>
+        {
+            const result = await runCli(["cache", "inspect"], env);
+            assert.equal(result.code, 0);
+
+            const status = JSON.parse(result.stdout);
+            assert.equal(status.organization, "default");
+            assert.equal(status.reload.cached, true);
+            assert.deepEqual(status.versions.map(v => v.version), ["v2", "v1"]);
+            assert.equal(status.signatures, 5);
+            assert.equal(status.revoked, 2);
+            assert.equal(status.local, 1);
+        });
+
+        it("refuses changes while the server is running", async () =>
+        {
+            assert.match(await fs.readFile(path.join(directory, "local", "cla-dwight.pid"), { encoding: 'utf8' }), /^\d+$/);
+
+            const add = await runCli(["local", "add", path.join(directory, "erin.pdf"), "--name", "Erin Evans", "--email", "erin@example.com", "--signed", "2025-03-01"], env);
+            assert.equal(add.code, 1);
+            assert.match(add.stderr, /CLA-dwight is running \(process \d+\)/);
+
+            const requests = mock.requests.length;
+            assert.equal((await runCli(["reload"], env)).code, 1);
+            assert.equal(mock.requests.length, requests);
+
+            // the lock file of a process that is not running is ignored
+            await server.stop();
+        });
+
+        it("manages local signatures", async () =>
+        {
+            const add = await runCli(["local", "add", path.join(directory, "erin.pdf"), "--name", "Erin Evans", "--email", "erin@example.com", "--signed", "2025-03-01"], env);
+            assert.equal(add.code, 0);
+
+            const list = await runCli(["local", "list"], env);
+            const lines = list.stdout.trim().split("\n");
+            assert.equal(lines.length, 2);
+            assert.match(lines.find(l => l.includes("erin@example.com")), /\t2025-03-01\tindividual\terin@example.com\tErin Evans$/);
+            assert.match(lines.find(l => l.includes("dave@example.com")), /\trevoked \d{4}-\d{2}-\d{2}$/);
+        });
+
+        it("exports signatures to a file", async () =>
+        {
+            const output = path.join(directory, "export.json");
+            const result = await runCli(["export", "--format", "json", "--output", output, "origin=local"], env);
+            assert.equal(result.code, 0);
+            assert.equal(result.stdout, "");
+
+            const list = JSON.parse(await fs.readFile(output, { encoding: 'utf8' }));
+            assert.equal(list.total, 2);
+        });
+
+        it("reloads data into the cache", async () =>
+        {
+            const requests = mock.requests.length;
+            const result = await runCli(["reload", "--full"], env);
+            assert.equal(result.code, 0);
+            assert.equal(JSON.parse(result.stdout).full, true);
+            assert.ok(mock.requests.length > requests);
+        });
+
+        it("fails without cached data", async () =>
+        {
+            const result = await runCli(["check", "alice"], { ...env, CLA_FILECACHE: path.join(directory, "empty") });
+            assert.equal(result.code, 1);
+            assert.match(result.stderr, /not available/);
+        });
+    });
+});
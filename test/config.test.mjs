@@ -0,0 +1,192 @@
+// Tests of the CLA_CONFIG file, validation of the configuration and /status?verbose
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const ADMIN = basicAuth("admin", "admin-password");
+
+describe("configuration", () =>
+{
+    let mock;
+    let directory;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+    });
+
+    after(async () =>
+    {
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    async function writeConfig(name, text)
+    {
+        const file = path.join(directory, name);
+        await fs.writeFile(file, text);
+        return file;
+    }
+
+    describe("YAML file", () =>
+    {
+        let server;
+
+        before(async () =>
+        {
+            const file = await writeConfig("config.yaml", [
+                `CLA_ASSISTANT_URL: ${mock.url}`,
+                `GITHUB_ORGID: 1`,
+                `GITHUB_ORGTOKEN: test-token`,
+                `CLA_ADMIN_AUTH:`,
+                `  - ${ADMIN.substring("Basic ".length)}`,
+                `CLA_LOOKUP_FIELDS: [email, name]`,
+                `CLA_FILECACHE: cache`,
+                `CLA_FILELOCAL: local`,
+                `GITHUB_STATUS_CONTEXT: from-file`
+            ].join("\n"));
+
+            server = await startClaDwight({ CLA_CONFIG: file, GITHUB_STATUS_CONTEXT: "from-environment" });
+        });
+
+        after(async () =>
+        {
+            await server?.stop();
+        });
+
+        it("serves the organization configured by the file", async () =>
+        {
+            assert.equal((await server.request("/status")).status, 200);
+            assert.equal((await server.request("/list/alice")).status, 200);
+            assert.equal((await server.request("/list/alice@example.com")).status, 200);
+        });
+
+        it("requires admin scope for the self-check", async () =>
+        {
+            assert.equal((await server.request("/status?verbose")).status, 401);
+        });
+
+        it("reports the effective configuration with secrets redacted", async () =>
+        {
+            const response = await server.request("/status?verbose", { headers: { Authorization: ADMIN, Accept: "application/json" } });
+            assert.equal(response.status, 200);
+
+            const { config } = await response.json();
+            assert.equal(config.file, path.join(directory, "config.yaml"));
+            assert.equal(config.settings.CLA_LOOKUP_FIELDS, "email name");
+            assert.equal(config.settings.CLA_FILECACHE, path.join(directory, "cache"));
+            assert.equal(config.settings.GITHUB_ORGTOKEN, "[redacted]");
+            assert.equal(config.settings.CLA_ADMIN_AUTH, "[redacted]");
+
+            // environment variables override the file
+            assert.equal(config.settings.GITHUB_STATUS_CONTEXT, "from-environment");
+            assert.equal(config.sources.GITHUB_STATUS_CONTEXT, "environment");
+            assert.equal(config.sources.CLA_FILECACHE, "file");
+            assert.equal(config.sources.CLA_RETRY_DELAY, "default");
+        });
+
+        it("reports directories, data and the last CLA assistant call", async () =>
+        {
+            const response = await server.request("/status?verbose", { headers: { Authorization: ADMIN, Accept: "application/json" } });
+            const check = await response.json();
+
+            assert.deepEqual(check.directories.map(d => [d.setting, d.path, d.writable]),
+                [
+                    ["CLA_FILECACHE", path.join(directory, "cache"), true],
+                    ["CLA_FILELOCAL", path.join(directory, "local", "uploads"), true],
+                    ["CLA_FILELOCAL", path.join(directory, "local", "signatures"), true],
+                    ["CLA_FILELOCAL", path.join(directory, "local", "corporate"), true]
+                ]);
+
+            assert.equal(check.status, "OK");
+            assert.equal(check.signatures, 4);
+            assert.equal(typeof check.age, "number");
+            assert.equal(check.assistant.lastCall.status, 200);
+            assert.equal(check.assistant.lastCall.error, null);
+            assert.ok(check.assistant.lastCall.url.startsWith(mock.url + "/cla/"));
+        });
+    });
+
+    it("reads JSON files", async () =>
+    {
+        const file = await writeConfig("config.json", JSON.stringify(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: 1,
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_LOOKUP_FIELDS: ["email"]
+            }));
+
+        const server = await startClaDwight({ CLA_CONFIG: file });
+        try
+        {
+            assert.equal((await server.request("/list/alice")).status, 200);
+            assert.equal((await server.request("/list/carol@example.org")).status, 200);
+        }
+        finally
+        {
+            await server.stop();
+        }
+    });
+
+    it("reports failed CLA assistant calls", async () =>
+    {
+        const server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url + "/api",
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_ADMIN_AUTH: ADMIN.substring("Basic ".length)
+            });
+        try
+        {
+            const response = await server.request("/status?verbose=true", { headers: { Authorization: ADMIN, Accept: "application/json" } });
+            assert.equal(response.status, 503);
+
+            const check = await response.json();
+            assert.equal(check.status, "error");
+            assert.equal(check.assistant.lastCall.url, mock.url + "/api/cla/getGist");
+            assert.equal(check.assistant.lastCall.status, 404);
+            assert.match(check.assistant.lastCall.error, /404/);
+        }
+        finally
+        {
+            await server.stop();
+        }
+    });
+
+    it("rejects invalid settings at startup", async () =>
+    {
+        const file = await writeConfig("invalid.yaml", [
+            `GITHUB_ORGID: 1`,
+            `GITHUB_ORGTOKEN: test-token`,
+            `CLA_SNAPSHOT_RETENTION: many`,
+            `CLA_LIST_AUTH: not-base64`,
+            `CLA_UPLOAD_TYPES: [pdf, docx]`,
+            `CLA_LOOKUP_FEILDS: email`
+        ].join("\n"));
+
+        await assert.rejects(startClaDwight({ CLA_CONFIG: file, CLA_ASSISTANT_URL: "cla-assistant.io/api" }), error =>
+        {
+            assert.match(error.message, /exited with 1/);
+            assert.match(error.message, /Unknown setting CLA_LOOKUP_FEILDS in .*invalid\.yaml\./);
+            assert.match(error.message, /CLA_SNAPSHOT_RETENTION in .*invalid\.yaml must be a non-negative integer \(not \\"many\\"\)\./);
+            assert.match(error.message, /CLA_LIST_AUTH in .*invalid\.yaml must be space-separated base64-encoded username:password values\./);
+            assert.match(error.message, /CLA_UPLOAD_TYPES in .*invalid\.yaml must be space-separated values of pdf, png, jpeg/);
+            assert.match(error.message, /CLA_ASSISTANT_URL environment variable must be an http or https URL/);
+            assert.doesNotMatch(error.message, /not-base64/);
+            return true;
+        });
+    });
+
+    it("rejects missing config files", async () =>
+    {
+        await assert.rejects(startClaDwight({ CLA_CONFIG: path.join(directory, "missing.yaml") }), /Cannot read config file/);
+    });
+});
@@ -0,0 +1,139 @@
+// Tests of users covered by local corporate signatures (by username or e-mail domain)
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const LIST_AUTH = basicAuth("reader", "reader-password");
+const SIGN_AUTH = basicAuth("signer", "signer-password");
+const PDF = "%PDF-1.4\n%test\n";
+
+describe("corporate signatures", () =>
+{
+    let mock;
+    let server;
+    let directory;
+    let acme;
+    let globex;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_LIST_AUTH: LIST_AUTH.substring("Basic ".length),
+                CLA_SIGN_AUTH: SIGN_AUTH.substring("Basic ".length),
+                CLA_LOOKUP_FIELDS: "email",
+                CLA_FILELOCAL: path.join(directory, "local")
+            });
+
+        // ACME covers dave, bob (whose individual signature is revoked) and its domain, Globex is revoked
+        acme = await uploadCorporate({ company: "ACME", users: "dave bob", domains: "acme.example" });
+        globex = await uploadCorporate({ company: "Globex", users: "erin", domains: "@Globex.example" });
+
+        const response = await server.request(`/local/${globex._id}/revoke`, { method: "POST", body: new URLSearchParams({ revoked: "2025-02-01" }), headers: { Accept: "text/plain", Authorization: SIGN_AUTH } });
+        assert.equal(response.status, 200);
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    // upload a corporate signature, returns it as listed
+    async function uploadCorporate(fields)
+    {
+        const form = new FormData();
+        for (const [name, value] of Object.entries({ type: "corporate", name: "Signer", email: `legal@${fields.company.toLowerCase()}.example`, signed: "2025-01-15", ...fields }))
+            form.append(name, value);
+        form.append("cla", new Blob([PDF + fields.company]), "cla.pdf");
+
+        const response = await server.request("/list", { method: "POST", body: form, headers: { Accept: "text/plain", Authorization: SIGN_AUTH } });
+        assert.equal(response.status, 200, await response.clone().text());
+
+        const list = await server.request("/list?origin=local", { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+        return (await list.json()).corporates.find(c => c.user == fields.company);
+    }
+
+    async function status(url)
+    {
+        return (await server.request(url)).status;
+    }
+
+    async function listIds(username)
+    {
+        const response = await server.request("/list/" + encodeURIComponent(username), { headers: { Accept: "application/json" } });
+        return (await response.json()).map(s => s._id);
+    }
+
+    it("stores the covered users and normalized domains", () =>
+    {
+        assert.equal(acme.type, "corporate");
+        assert.deepEqual(acme.covered_users, ["dave", "bob"]);
+        assert.deepEqual(globex.covered_domains, ["globex.example"]);
+    });
+
+    it("covers listed users in /list/username", async () =>
+    {
+        assert.equal(await status("/list/dave"), 200);
+        assert.equal(await status("/list/DAVE"), 200);
+        assert.deepEqual(await listIds("dave"), [acme._id]);
+        assert.equal(await status("/list/mallory"), 404);
+    });
+
+    it("covers e-mail addresses of the domains", async () =>
+    {
+        assert.equal(await status("/list/frank@acme.example"), 200);
+        assert.equal(await status("/list/Frank@ACME.example"), 200);
+        assert.equal(await status("/list/frank@sub.acme.example"), 404);
+        assert.equal(await status("/list/frank@other.example"), 404);
+    });
+
+    it("covers users whose individual signature is revoked, listing the corporate first", async () =>
+    {
+        assert.equal(await status("/list/bob"), 200);
+        assert.deepEqual(await listIds("bob"), [acme._id, "sig-bob-v1"]);
+
+        // valid individual signatures go first
+        assert.deepEqual(await listIds("alice"), ["sig-alice-v2", "sig-alice-v1"]);
+    });
+
+    it("does not cover users by revoked corporate signatures", async () =>
+    {
+        assert.equal(await status("/list/erin"), 410);
+        assert.equal(await status("/list/erin@globex.example"), 410);
+        assert.deepEqual(await listIds("erin"), [globex._id]);
+    });
+
+    it("reports corporate signatures in /get/id", async () =>
+    {
+        assert.equal(await status("/get/" + acme._id), 200);
+        assert.equal(await status("/get/" + globex._id), 410);
+    });
+
+    it("covers users in /check", async () =>
+    {
+        const response = await server.request("/check",
+            {
+                method: "POST",
+                body: JSON.stringify(["dave", "frank@acme.example", "bob", "erin", "grace@globex.example", "mallory"]),
+                headers: { Accept: "application/json", "Content-Type": "application/json" }
+            });
+        assert.equal(response.status, 200);
+
+        const results = await response.json();
+        assert.deepEqual(results.map(r => [r.user, r.status]),
+            [["dave", "signed"], ["frank@acme.example", "signed"], ["bob", "signed"], ["erin", "revoked"], ["grace@globex.example", "revoked"], ["mallory", "missing"]]);
+        assert.deepEqual(results[1].ids, [acme._id]);
+    });
+});
@@ -0,0 +1,556 @@
+// End-to-end tests of CLA-dwight running against the mock CLA assistant
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const LIST_AUTH = basicAuth("reader", "reader-password");
+const SIGN_AUTH = basicAuth("signer", "signer-password");
+const ADMIN_AUTH = basicAuth("admin", "admin-password");
+const PDF = "%PDF-1.4\n%test\n";
+
+describe("CLA-dwight", () =>
+{
+    let mock;
+    let server;
+    let directory;
+    let env;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        env =
+        {
+            CLA_ASSISTANT_URL: mock.url,
+            GITHUB_ORGID: "1",
+            GITHUB_ORGTOKEN: "test-token",
+            CLA_LIST_AUTH: LIST_AUTH.substring("Basic ".length),
+            CLA_SIGN_AUTH: SIGN_AUTH.substring("Basic ".length),
+            CLA_ADMIN_AUTH: ADMIN_AUTH.substring("Basic ".length),
+            CLA_AUTH_FIELDS: "email",
+            CLA_LOOKUP_FIELDS: "email",
+            CLA_FILECACHE: path.join(directory, "cache"),
+            CLA_FILELOCAL: path.join(directory, "local")
+        };
+        server = await startClaDwight(env);
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    describe("/list", () =>
+    {
+        it("requires authorization", async () =>
+        {
+            const response = await server.request("/list", { headers: { Accept: "application/json" } });
+            assert.equal(response.status, 401);
+        });
+
+        it("returns signatures of all versions", async () =>
+        {
+            const response = await server.request("/list", { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+            assert.equal(response.status, 200);
+
+            const list = await response.json();
+            assert.equal(list.total, 3);
+            assert.deepEqual(list.signatures.map(s => s._id).sort(), ["sig-alice-v1", "sig-alice-v2", "sig-bob-v1", "sig-carol-v2"]);
+
+            const alice = list.signatures.find(s => s._id == "sig-alice-v2");
+            assert.equal(alice.custom_fields.name, "Alice Anderson");
+            assert.equal(alice.gist_committed_at, "2024-01-01T00:00:00Z");
+        });
+
+        it("filters revoked signatures", async () =>
+        {
+            const response = await server.request("/list?revoked=true", { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+            const list = await response.json();
+            assert.deepEqual(list.signatures.map(s => s._id), ["sig-bob-v1"]);
+        });
+
+        it("exports CSV", async () =>
+        {
+            const response = await server.request("/list?format=csv", { headers: { Authorization: LIST_AUTH } });
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get("content-type"), /^text\/csv/);
+
+            const lines = (await response.text()).trim().split("\r\n");
+            assert.equal(lines.length, 5);
+            assert.match(lines[0], /user,.*email/);
+        });
+    });
+
+    describe("/list/username", () =>
+    {
+        it("returns 200 for a valid signature", async () =>
+        {
+            const response = await server.request("/list/alice");
+            assert.equal(response.status, 200);
+            assert.equal(await response.text(), "OK");
+        });
+
+        it("returns 410 for a revoked signature", async () =>
+        {
+            const response = await server.request("/list/bob");
+            assert.equal(response.status, 410);
+            assert.equal(await response.text(), "Revoked");
+        });
+
+        it("returns 404 for a user without signature", async () =>
+        {
+            const response = await server.request("/list/mallory");
+            assert.equal(response.status, 404);
+        });
+
+        it("finds users by CLA_LOOKUP_FIELDS", async () =>
+        {
+            const response = await server.request("/list/carol@example.org", { headers: { Accept: "application/json" } });
+            assert.equal(response.status, 200);
+
+            const signatures = await response.json();
+            assert.deepEqual(signatures.map(s => s.user), ["carol"]);
+        });
+
+        it("lists signatures of the user newest first", async () =>
+        {
+            const response = await server.request("/list/alice", { headers: { Accept: "application/json" } });
+            const signatures = await response.json();
+            assert.deepEqual(signatures.map(s => s._id), ["sig-alice-v2", "sig-alice-v1"]);
+        });
+
+        it("exports CSV filtered by signed date", async () =>
+        {
+            const response = await server.request("/list/alice?format=csv&from=2024-01-01");
+            assert.equal(response.status, 200);
+            assert.equal((await response.text()).trim().split("\r\n").length, 2);
+        });
+
+        it("rejects invalid dates of the CSV export", async () =>
+        {
+            const response = await server.request("/list/alice?format=csv&from=garbage");
+            assert.equal(response.status, 400);
+            assert.equal(await response.text(), "Invalid date: garbage");
+        });
+    });
+
+    describe("/get/id", () =>
+    {
+        it("returns 200 for a valid signature", async () =>
+        {
+            const response = await server.request("/get/sig-carol-v2");
+            assert.equal(response.status, 200);
+        });
+
+        it("returns 410 for a revoked signature", async () =>
+        {
+            const response = await server.request("/get/sig-bob-v1");
+            assert.equal(response.status, 410);
+        });
+
+        it("returns 404 for an unknown id", async () =>
+        {
+            const response = await server.request("/get/unknown");
+            assert.equal(response.status, 404);
+        });
+
+        it("returns the signature as JSON", async () =>
+        {
+            const response = await server.request("/get/sig-bob-v1", { headers: { Accept: "application/json" } });
+            assert.equal(response.status, 200);
+
+            const signature = await response.json();
+            assert.equal(signature.user, "bob");
+            assert.equal(signature.revoked_at, "2022-03-01T00:00:00Z");
+        });
+    });
+
+    describe("/check", () =>
+    {
+        function check(body, headers = {})
+        {
+            return server.request("/check", { method: "POST", body, headers: { Accept: "application/json", ...headers } });
+        }
+
+        function checkJson(users, headers = {})
+        {
+            return check(JSON.stringify(users), { "Content-Type": "application/json", ...headers });
+        }
+
+        it("accepts a JSON array", async () =>
+        {
+            const response = await checkJson(["alice", "bob", "mallory", "carol@example.org"]);
+            assert.equal(response.status, 200);
+
+            const results = await response.json();
+            assert.deepEqual(results.map(r => [r.user, r.status]),
+                [["alice", "signed"], ["bob", "revoked"], ["mallory", "missing"], ["carol@example.org", "signed"]]);
+            assert.deepEqual(results[0].ids, ["sig-alice-v2", "sig-alice-v1"]);
+            assert.deepEqual(results[2].signatures, []);
+        });
+
+        it("accepts { users } and a users form field", async () =>
+        {
+            const json = await (await checkJson({ users: ["alice", "alice", " bob "] })).json();
+            assert.deepEqual(json.map(r => [r.user, r.status]), [["alice", "signed"], ["bob", "revoked"]]);
+
+            const form = await (await check(new URLSearchParams({ users: "alice, bob\nmallory" }))).json();
+            assert.deepEqual(form.map(r => [r.user, r.status]), [["alice", "signed"], ["bob", "revoked"], ["mallory", "missing"]]);
+        });
+
+        it("responds as XML and text", async () =>
+        {
+            const xml = await (await checkJson(["alice", "mallory"], { Accept: "application/xml" })).text();
+            assert.match(xml, /<result user="alice" status="signed">/);
+            assert.match(xml, /<id>sig-alice-v2<\/id>/);
+            assert.match(xml, /<result user="mallory" status="missing"\/>/);
+
+            const response = await checkJson(["alice", "bob", "mallory"], { Accept: "text/plain" });
+            assert.equal(await response.text(), "alice signed\nbob revoked\nmallory missing");
+        });
+
+        it("removes private fields without authorization", async () =>
+        {
+            const [anonymous] = await (await checkJson(["alice"])).json();
+            assert.equal(anonymous.signatures[0].custom_fields.name, "Alice Anderson");
+            assert.equal(anonymous.signatures[0].custom_fields.email, undefined);
+
+            const [authorized] = await (await checkJson(["alice"], { Authorization: LIST_AUTH })).json();
+            assert.equal(authorized.signatures[0].custom_fields.email, "alice@example.com");
+        });
+
+        it("rejects empty and malformed bodies", async () =>
+        {
+            assert.equal((await check(undefined)).status, 400);
+            assert.equal((await checkJson({ users: 5 })).status, 400);
+            assert.equal((await checkJson(["alice", 5])).status, 400);
+            assert.equal((await check("[\"alice\"", { "Content-Type": "application/json" })).status, 400);
+        });
+    });
+
+    describe("CLA_AUTH_FIELDS", () =>
+    {
+        it("removes private fields without authorization", async () =>
+        {
+            const response = await server.request("/list/alice", { headers: { Accept: "application/json" } });
+            const [signature] = await response.json();
+            assert.equal(signature.custom_fields.name, "Alice Anderson");
+            assert.equal(signature.custom_fields.email, undefined);
+        });
+
+        it("removes private fields from /get/id", async () =>
+        {
+            const response = await server.request("/get/sig-alice-v1", { headers: { Accept: "application/json" } });
+            const signature = await response.json();
+            assert.equal(signature.custom_fields.email, undefined);
+        });
+
+        it("keeps private fields with authorization", async () =>
+        {
+            const response = await server.request("/list/alice", { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+            const [signature] = await response.json();
+            assert.equal(signature.custom_fields.email, "alice@example.com");
+        });
+    });
+
+    describe("local uploads", () =>
+    {
+        function upload(fields, content = PDF)
+        {
+            const form = new FormData();
+            for (const [name, value] of Object.entries(fields))
+                form.append(name, value);
+            form.append("cla", new Blob([content]), "cla.pdf");
+
+            return server.request("/list", { method: "POST", body: form, headers: { Authorization: SIGN_AUTH } });
+        }
+
+        const dave = { name: "Dave Davis", email: "dave@example.com", employer: "none", signed: "2025-01-15" };
+
+        it("requires the sign scope", async () =>
+        {
+            const form = new FormData();
+            form.append("cla", new Blob([PDF]), "cla.pdf");
+            const response = await server.request("/list", { method: "POST", body: form });
+            assert.equal(response.status, 401);
+        });
+
+        it("adds a local signature", async () =>
+        {
+            const response = await upload(dave);
+            assert.equal(response.status, 200);
+            assert.equal(await response.text(), "CLA added succesfully.");
+
+            const lookup = await server.request("/list/dave@example.com", { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+            assert.equal(lookup.status, 200);
+
+            const [signature] = await lookup.json();
+            assert.equal(signature.custom_fields.name, "Dave Davis");
+            assert.equal(signature.created_at, "2025-01-15T00:00:00.000Z");
+            assert.match(signature.origin, /^local\|signer$/);
+            assert.match(signature.file_sha256, /^[0-9a-f]{64}$/);
+        });
+
+        it("stores the signature and the file", async () =>
+        {
+            const signatures = await fs.readdir(path.join(directory, "local", "signatures"));
+            const uploads = await fs.readdir(path.join(directory, "local", "uploads"));
+            assert.equal(signatures.length, 1);
+            assert.equal(uploads.length, 1);
+        });
+
+        it("rejects duplicates", async () =>
+        {
+            const response = await upload({ ...dave, signed: "2025-02-01" });
+            assert.equal(response.status, 400);
+            assert.match(await response.text(), /already been uploaded/);
+        });
+
+        it("rejects files of other types", async () =>
+        {
+            const response = await upload({ ...dave, email: "eve@example.com" }, "not a pdf");
+            assert.equal(response.status, 400);
+            assert.match(await response.text(), /must be pdf/);
+        });
+
+        it("requires the signer e-mail", async () =>
+        {
+            const response = await upload({ ...dave, email: "" });
+            assert.equal(response.status, 400);
+            assert.equal(await response.text(), "ERROR: E-mail is required.");
+        });
+
+        it("redirects forms back to the list with the result", async () =>
+        {
+            const lookup = await server.request("/list/dave@example.com", { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+            const [signature] = await lookup.json();
+
+            const form = new URLSearchParams({ name: "" });
+            const response = await server.request(`/local/${signature._id}/update`, { method: "POST", body: form, redirect: "manual", headers: { Accept: "text/html", Authorization: SIGN_AUTH } });
+            assert.equal(response.status, 303);
+            assert.match(response.headers.get("Location"), /\/list\?result=name-required$/);
+
+            const list = await server.request("/list?result=name-required", { headers: { Accept: "text/html", Authorization: ADMIN_AUTH } });
+            assert.match(await list.text(), /ERROR: Name is required\./);
+        });
+
+        it("shows only the messages of known results", async () =>
+        {
+            const response = await server.request("/list?result=" + encodeURIComponent("<b>Pay here</b>") + "&error=Pay+here", { headers: { Accept: "text/html", Authorization: ADMIN_AUTH } });
+            assert.equal(response.status, 200);
+            assert.doesNotMatch(await response.text(), /Pay here/);
+        });
+    });
+
+    describe("local signature actions", () =>
+    {
+        let frank;
+
+        before(async () =>
+        {
+            const form = new FormData();
+            for (const [name, value] of Object.entries({ name: "Frank Fischer", email: "frank@example.com", employer: "none", signed: "2025-02-15" }))
+                form.append(name, value);
+            form.append("cla", new Blob([PDF + "frank"]), "cla.pdf");
+            assert.equal((await server.request("/list", { method: "POST", body: form, headers: { Authorization: SIGN_AUTH } })).status, 200);
+
+            const lookup = await server.request("/list/frank@example.com", { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+            [frank] = await lookup.json();
+        });
+
+        function post(id, action, fields = {}, accept = "application/json")
+        {
+            return server.request(`/local/${id}/${action}`, { method: "POST", body: new URLSearchParams(fields), redirect: "manual", headers: { Accept: accept, Authorization: SIGN_AUTH } });
+        }
+
+        it("revokes at the given date", async () =>
+        {
+            const response = await post(frank._id, "revoke", { revoked: "2025-03-01" });
+            assert.equal(response.status, 200);
+            assert.equal((await response.json()).revoked_at, "2025-03-01T00:00:00.000Z");
+
+            assert.equal((await server.request("/list/frank@example.com")).status, 410);
+            assert.equal((await server.request("/list/frank@example.com?at=2025-02-20")).status, 200);
+        });
+
+        it("rejects invalid dates with 400", async () =>
+        {
+            const revoke = await post(frank._id, "revoke", { revoked: "garbage" });
+            assert.equal(revoke.status, 400);
+            assert.equal(await revoke.text(), "ERROR: Revoked date is invalid.");
+
+            const update = await post(frank._id, "update", { signed: "garbage" });
+            assert.equal(update.status, 400);
+            assert.equal(await update.text(), "ERROR: Signed date is invalid.");
+
+            // unchanged
+            const [signature] = await (await server.request("/list/frank@example.com", { headers: { Accept: "application/json", Authorization: LIST_AUTH } })).json();
+            assert.equal(signature.created_at, "2025-02-15T00:00:00.000Z");
+            assert.equal(signature.revoked_at, "2025-03-01T00:00:00.000Z");
+        });
+
+        it("reports storage failures with 500", async () =>
+        {
+            // a file in place of the signatures directory cannot be written to
+            const signatures = path.join(directory, "local", "signatures");
+            await fs.rename(signatures, signatures + ".moved");
+            await fs.writeFile(signatures, "");
+            try
+            {
+                const response = await post(frank._id, "update", { employer: "Initech" });
+                assert.equal(response.status, 500);
+                assert.equal(await response.text(), "ERROR: The CLA could not be changed.");
+            }
+            finally
+            {
+                await fs.rm(signatures);
+                await fs.rename(signatures + ".moved", signatures);
+            }
+        });
+
+        it("rejects signatures from CLA assistant with 403", async () =>
+        {
+            const response = await post("sig-alice-v1", "revoke", {}, "text/plain");
+            assert.equal(response.status, 403);
+            assert.equal(await response.text(), "ERROR: Signatures from CLA assistant are read-only.");
+            assert.equal((await server.request("/get/sig-alice-v1")).status, 200);
+        });
+
+        it("rejects unknown ids and actions with 404", async () =>
+        {
+            const unknownId = await post("unknown", "revoke", {}, "text/plain");
+            assert.equal(unknownId.status, 404);
+            assert.equal(await unknownId.text(), "ERROR: Signature not found.");
+
+            const unknownAction = await post(frank._id, "approve", {}, "text/plain");
+            assert.equal(unknownAction.status, 404);
+            assert.equal(await unknownAction.text(), "ERROR: Unknown action.");
+        });
+
+        it("redirects forms with the result keys", async () =>
+        {
+            for (const [id, action, fields, result] of [
+                [frank._id, "revoke", {}, "revoked"],
+                [frank._id, "revoke", { revoked: "garbage" }, "revoked-invalid"],
+                [frank._id, "update", { signed: "garbage" }, "signed-invalid"],
+                [frank._id, "approve", {}, "unknown-action"],
+                ["unknown", "revoke", {}, "not-found"],
+                ["sig-alice-v1", "revoke", {}, "read-only"]
+            ])
+            {
+                const response = await post(id, action, fields, "text/html");
+                assert.equal(response.status, 303, result);
+                assert.match(response.headers.get("Location"), new RegExp(`/list\\?result=${result}$`));
+            }
+        });
+
+        it("deletes the signature and the uploaded file", async () =>
+        {
+            const file = path.join(directory, "local", "uploads", path.basename(decodeURIComponent(frank.gist_url)));
+            await fs.access(file);
+            const signatures = (await fs.readdir(path.join(directory, "local", "signatures"))).length;
+
+            const response = await post(frank._id, "delete", {}, "text/html");
+            assert.equal(response.status, 303);
+            assert.match(response.headers.get("Location"), /\/list\?result=deleted$/);
+
+            await assert.rejects(fs.access(file), { code: "ENOENT" });
+            assert.equal((await fs.readdir(path.join(directory, "local", "signatures"))).length, signatures - 1);
+            assert.equal((await server.request("/list/frank@example.com")).status, 404);
+            assert.equal((await server.request("/get/" + frank._id)).status, 404);
+        });
+    });
+
+    describe("/reload", () =>
+    {
+        it("reloads the data", async () =>
+        {
+            const response = await server.request("/reload");
+            assert.equal(response.status, 200);
+        });
+
+        it("requires the admin scope for full reloads", async () =>
+        {
+            const requests = mock.requests.length;
+            assert.equal((await server.request("/reload?full=true")).status, 401);
+            assert.equal((await server.request("/reload?full=true", { headers: { Authorization: LIST_AUTH } })).status, 401);
+            assert.equal(mock.requests.length, requests);
+
+            const response = await server.request("/reload?full=true", { headers: { Authorization: ADMIN_AUTH } });
+            assert.equal(response.status, 200);
+            assert.equal(mock.requests.slice(requests).filter(r => r.call == "getAll").length, 2);
+        });
+    });
+
+    describe("file cache", () =>
+    {
+        it("is used when the CLA assistant fails", async () =>
+        {
+            mock.failing = true;
+            let fallback;
+            try
+            {
+                fallback = await startClaDwight(env);
+
+                const status = await fallback.request("/status", { headers: { Accept: "application/json" } });
+                assert.equal(status.status, 200);
+                assert.equal((await status.json()).reload.cached, true);
+
+                const alice = await fallback.request("/list/alice");
+                assert.equal(alice.status, 200);
+
+                const bob = await fallback.request("/list/bob");
+                assert.equal(bob.status, 410);
+            }
+            finally
+            {
+                mock.failing = false;
+                await fallback?.stop();
+            }
+        });
+
+        it("is not used when reload is requested", async () =>
+        {
+            mock.failing = true;
+            try
+            {
+                const response = await server.request("/reload");
+                assert.equal(response.status, 500);
+
+                const status = await server.request("/status");
+                assert.equal(status.status, 503);
+            }
+            finally
+            {
+                mock.failing = false;
+            }
+
+            const response = await server.request("/reload");
+            assert.equal(response.status, 200);
+        });
+
+        it("is not used by a reload waiting for a background reload", async () =>
+        {
+            // the background reload retries the failed call before it falls back to the cache
+            const retrying = await startClaDwight({ ...env, CLA_RETRIES: "1", CLA_RETRY_DELAY: "1000" });
+            mock.failing = true;
+            try
+            {
+                assert.equal((await retrying.request("/list/alice?reload=background")).status, 200);
+                assert.equal((await retrying.request("/reload")).status, 500);
+            }
+            finally
+            {
+                mock.failing = false;
+                await retrying.stop();
+            }
+        });
+    });
+});
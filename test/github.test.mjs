@@ -0,0 +1,210 @@
+// Tests of /webhook receiving GitHub pull request events and posting commit statuses to a fake GitHub API
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import crypto from 'node:crypto';
+import express from 'express';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { startClaDwight } from './helpers.mjs';
+
+const SECRET = "webhook-secret";
+
+describe("/webhook", () =>
+{
+    let mock;
+    let github;
+    let server;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        github = await startGitHub();
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_LOOKUP_FIELDS: "email",
+                GITHUB_API_URL: github.url,
+                GITHUB_WEBHOOK_SECRET: SECRET,
+                GITHUB_STATUS_TOKEN: "status-token",
+                GITHUB_STATUS_CONTEXT: "cla/test"
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await github?.close();
+        await mock?.close();
+    });
+
+    function postEvent(event, payload, signature)
+    {
+        return postBody(event, JSON.stringify(payload), "application/json", signature);
+    }
+
+    // delivery with the default content type of GitHub webhooks, the JSON payload is in the payload form field
+    function postFormEvent(event, payload)
+    {
+        return postBody(event, new URLSearchParams({ payload: JSON.stringify(payload) }).toString(), "application/x-www-form-urlencoded");
+    }
+
+    function postBody(event, body, contentType, signature)
+    {
+        signature ??= "sha256=" + crypto.createHmac("sha256", SECRET).update(body).digest("hex");
+
+        return server.request("/webhook", { method: "POST", body, headers: { "Content-Type": contentType, "X-GitHub-Event": event, "X-Hub-Signature-256": signature } });
+    }
+
+    function pullRequest(number, action = "opened")
+    {
+        return { action, repository: { full_name: "cla-dwight/example" }, pull_request: { number, head: { sha: "sha-" + number } } };
+    }
+
+    // commit of a GitHub user, or of an e-mail address without a linked account
+    function commit(login, email)
+    {
+        return { author: login ? { login } : null, commit: { author: { email: email ?? `${login}@example.com` } } };
+    }
+
+    it("rejects requests without a valid signature", async () =>
+    {
+        assert.equal((await postEvent("ping", {}, "")).status, 401);
+        assert.equal((await postEvent("ping", {}, "sha256=" + "0".repeat(64))).status, 401);
+        assert.equal((await postEvent("ping", {}, "sha256=short")).status, 401);
+    });
+
+    it("answers pings", async () =>
+    {
+        const response = await postEvent("ping", { zen: "Keep it logically awesome." });
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), "pong");
+    });
+
+    it("ignores other events and actions", async () =>
+    {
+        assert.equal((await postEvent("push", {})).status, 204);
+        assert.equal((await postEvent("pull_request", pullRequest(1, "closed"))).status, 204);
+        assert.deepEqual(github.statuses, []);
+    });
+
+    it("posts success when all commit authors signed", async () =>
+    {
+        github.commits.set(2, [commit("alice"), commit("dependabot[bot]"), commit(null, "carol@example.org")]);
+
+        const response = await postEvent("pull_request", pullRequest(2));
+        assert.equal(response.status, 200);
+
+        const { state, results } = await response.json();
+        assert.equal(state, "success");
+        assert.deepEqual(results, [{ user: "alice", status: "signed" }, { user: "carol@example.org", status: "signed" }]);
+
+        const [status] = github.statuses.splice(0);
+        assert.equal(status.repository, "cla-dwight/example");
+        assert.equal(status.sha, "sha-2");
+        assert.equal(status.authorization, "Bearer status-token");
+        assert.deepEqual(status.body,
+            {
+                state: "success",
+                context: "cla/test",
+                description: "All commit authors have signed the CLA.",
+                target_url: "https://gist.github.com/cla-dwight/0123456789abcdef"
+            });
+    });
+
+    it("posts failure listing authors without a valid signature", async () =>
+    {
+        github.commits.set(3, [commit("alice"), commit("bob"), commit("dave")]);
+
+        const response = await postEvent("pull_request", pullRequest(3, "synchronize"));
+        assert.equal(response.status, 200);
+
+        const [status] = github.statuses.splice(0);
+        assert.equal(status.sha, "sha-3");
+        assert.equal(status.body.state, "failure");
+        assert.equal(status.body.description, "CLA missing, revoked or outdated: bob, dave");
+    });
+
+    it("accepts form-encoded deliveries", async () =>
+    {
+        github.commits.set(6, [commit("alice")]);
+
+        const response = await postFormEvent("pull_request", pullRequest(6));
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).state, "success");
+
+        const [status] = github.statuses.splice(0);
+        assert.equal(status.sha, "sha-6");
+        assert.equal(status.body.state, "success");
+
+        const invalid = await postBody("pull_request", "payload=%7B", "application/x-www-form-urlencoded");
+        assert.equal(invalid.status, 400);
+    });
+
+    it("reads all pages of commits", async () =>
+    {
+        github.commits.set(4, [...Array(100).fill(commit("alice")), commit("dave")]);
+
+        const response = await postEvent("pull_request", pullRequest(4));
+        const { state, results } = await response.json();
+        assert.equal(state, "failure");
+        assert.deepEqual(results.map(r => r.user), ["alice", "dave"]);
+        github.statuses.length = 0;
+    });
+
+    it("responds 502 if GitHub fails", async () =>
+    {
+        github.commits.set(5, [commit("alice")]);
+        github.failing = true;
+        try
+        {
+            assert.equal((await postEvent("pull_request", pullRequest(5))).status, 502);
+            assert.deepEqual(github.statuses, []);
+        }
+        finally
+        {
+            github.failing = false;
+        }
+    });
+});
+
+// Fake GitHub REST API serving commits of pull requests (commits keyed by number) and recording posted statuses
+async function startGitHub()
+{
+    const app = express();
+    const github = { url: null, commits: new Map(), statuses: [], failing: false, close: null };
+
+    app.use(express.json());
+    app.get('/repos/:owner/:repo/pulls/:number/commits', (request, response) =>
+    {
+        const commits = github.commits.get(Number(request.params.number)) ?? [];
+        const perPage = Number(request.query.per_page ?? 30);
+        const page = Number(request.query.page ?? 1);
+        response.send(commits.slice((page - 1) * perPage, page * perPage));
+    });
+
+    app.post('/repos/:owner/:repo/statuses/:sha', (request, response) =>
+    {
+        if (github.failing)
+            return response.status(500).end();
+
+        github.statuses.push(
+            {
+                repository: `${request.params.owner}/${request.params.repo}`,
+                sha: request.params.sha,
+                authorization: request.get("Authorization"),
+                body: request.body
+            });
+        response.status(201).send({ state: request.body.state });
+    });
+
+    const server = await new Promise(resolve =>
+    {
+        const server = app.listen(0, "127.0.0.1", () => resolve(server));
+    });
+
+    github.url = `http://127.0.0.1:${server.address().port}`;
+    github.close = () => new Promise(resolve => server.close(resolve));
+    return github;
+}
@@ -0,0 +1,118 @@
+// Helpers for running CLA-dwight in tests
+
+import { spawn } from 'node:child_process';
+import fs from 'fs/promises';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Start server.mjs in a child process with the given environment variables, resolves when it serves /status
+// All variables from .example.env are cleared first so that a local .env file does not affect the tests
+export async function startClaDwight(env)
+{
+    const port = await getFreePort();
+    const cleared = Object.fromEntries((await readExampleEnvNames()).map(name => [name, ""]));
+    const child = spawn(process.execPath, [path.join(ROOT, "server.mjs")],
+        {
+            cwd: ROOT,
+            env: { PATH: process.env.PATH, ...cleared, CLA_LOG_LEVEL: "warn", CLA_RETRIES: "0", ...env, PORT: String(port) },
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+
+    let output = "";
+    child.stdout.on("data", data => output += data);
+    child.stderr.on("data", data => output += data);
+    const exited = new Promise(resolve => child.on("exit", resolve));
+
+    const server =
+    {
+        url: `http://127.0.0.1:${port}`,
+        get output() { return output; },
+        request: (url, options) => fetch(server.url + url, options),
+        async stop()
+        {
+            child.kill();
+            await exited;
+        }
+    };
+
+    for (let attempt = 0; attempt < 100; attempt++)
+    {
+        if (child.exitCode !== null)
+            throw new Error(`CLA-dwight exited with ${child.exitCode}:\n${output}`);
+
+        try
+        {
+            await server.request("/status");
+            return server;
+        }
+        catch
+        {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    await server.stop();
+    throw new Error(`CLA-dwight did not start:\n${output}`);
+}
+
+// Run cli.mjs with the given arguments and environment variables (cleared as for startClaDwight)
+// Resolves to { code, stdout, stderr } when it exits
+export function runCli(args, env)
+{
+    return runScript("cli.mjs", args, env);
+}
+
+// Run server.mjs with the given arguments (e.g. migrate) until it exits, see runCli
+export function runServer(args, env)
+{
+    return runScript("server.mjs", args, { CLA_LOG_LEVEL: "warn", ...env });
+}
+
+async function runScript(script, args, env)
+{
+    const cleared = Object.fromEntries((await readExampleEnvNames()).map(name => [name, ""]));
+    const child = spawn(process.execPath, [path.join(ROOT, script), ...args],
+        {
+            cwd: ROOT,
+            env: { PATH: process.env.PATH, ...cleared, ...env },
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", data => stdout += data);
+    child.stderr.on("data", data => stderr += data);
+    const code = await new Promise(resolve => child.on("close", resolve));
+    return { code, stdout, stderr };
+}
+
+// Basic authorization header for the given credentials
+export function basicAuth(user, password)
+{
+    return "Basic " + Buffer.from(`${user}:${password}`).toString("base64");
+}
+
+async function readExampleEnvNames()
+{
+    const text = await fs.readFile(path.join(ROOT, ".example.env"), { encoding: 'utf8' });
+    return text.split(/\r?\n/)
+        .map(line => line.match(/^([A-Z_][A-Z0-9_]*)=/)?.[1])
+        .filter(name => name);
+}
+
+function getFreePort()
+{
+    return new Promise((resolve, reject) =>
+    {
+        const server = net.createServer();
+        server.listen(0, "127.0.0.1", () =>
+        {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on("error", reject);
+    });
+}
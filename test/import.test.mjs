@@ -0,0 +1,221 @@
+// Tests of bulk imports of local signatures with /import and of the upload size limits
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import AdmZip from 'adm-zip';
+import crypto from 'node:crypto';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const LIST_AUTH = basicAuth("reader", "reader-password");
+const SIGN_AUTH = basicAuth("signer", "signer-password");
+const PDF = "%PDF-1.4\n%test\n";
+const HEADER = "file,name,email,employer,signed,type,company,users,domains";
+
+describe("/import", () =>
+{
+    let mock;
+    let server;
+    let directory;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_LIST_AUTH: LIST_AUTH.substring("Basic ".length),
+                CLA_SIGN_AUTH: SIGN_AUTH.substring("Basic ".length),
+                CLA_FILELOCAL: path.join(directory, "local"),
+                CLA_UPLOAD_MAX_SIZE: "1000",
+                CLA_IMPORT_MAX_SIZE: "10000"
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    // ZIP archive with the files given as { name: content }
+    function createArchive(files)
+    {
+        const zip = new AdmZip();
+        for (const [name, content] of Object.entries(files))
+            zip.addFile(name, Buffer.from(content));
+        return zip.toBuffer();
+    }
+
+    function postImport(manifest, archive, query = "")
+    {
+        const form = new FormData();
+        form.append("manifest", new Blob([manifest]), "manifest.csv");
+        form.append("archive", new Blob([archive]), "archive.zip");
+
+        return server.request("/import" + query, { method: "POST", body: form, headers: { Accept: "application/json", Authorization: SIGN_AUTH } });
+    }
+
+    // stored CLA files (uploaded files are removed after the response)
+    async function getStoredFiles()
+    {
+        return (await fs.readdir(path.join(directory, "local", "uploads"))).filter(f => f.endsWith(".pdf"));
+    }
+
+    // all files of the uploads and signatures directories
+    async function getStoredState()
+    {
+        const uploads = await fs.readdir(path.join(directory, "local", "uploads"));
+        const signatures = await fs.readdir(path.join(directory, "local", "signatures"));
+        return { uploads: uploads.sort(), signatures: signatures.sort() };
+    }
+
+    async function lookup(user)
+    {
+        return (await server.request("/list/" + user, { headers: { Authorization: LIST_AUTH } })).status;
+    }
+
+    const archive = createArchive({ "frank.pdf": PDF + "frank", "acme.pdf": PDF + "acme" });
+    const manifest = [
+        HEADER,
+        "frank.pdf,Frank Foster,frank@example.com,none,2025-03-01,,,,",
+        "",
+        "acme.pdf,Grace Green,grace@acme.example,ACME,2025-03-02,corporate,ACME,,acme.example"
+    ].join("\n");
+
+    it("requires the sign scope", async () =>
+    {
+        const form = new FormData();
+        form.append("manifest", new Blob([manifest]), "manifest.csv");
+        const response = await server.request("/import", { method: "POST", body: form });
+        assert.equal(response.status, 401);
+    });
+
+    it("validates without creating signatures in a dry run", async () =>
+    {
+        const response = await postImport(manifest, archive, "?dryRun=true");
+        assert.equal(response.status, 200);
+
+        const result = await response.json();
+        assert.equal(result.dryRun, true);
+        assert.equal(result.created, 0);
+        assert.deepEqual(result.rows.map(r => [r.row, r.file, r.status]), [[2, "frank.pdf", "valid"], [4, "acme.pdf", "valid"]]);
+        assert.equal(result.rows[0].signature.custom_fields.email, "frank@example.com");
+
+        assert.equal(await lookup("frank@example.com"), 404);
+        assert.deepEqual(await getStoredFiles(), []);
+    });
+
+    it("creates nothing if any row is invalid", async () =>
+    {
+        const invalid = manifest + "\n\n" + [
+            "missing.pdf,Heidi Hill,heidi@example.com,none,2025-03-03,,,,",
+            '"hill.pdf","Heidi\nHill",heidi@example.com,none,someday,,,,'
+        ].join("\n");
+
+        const response = await postImport(invalid, archive);
+        assert.equal(response.status, 400);
+
+        const { created, rows } = await response.json();
+        assert.equal(created, 0);
+        assert.deepEqual(rows.map(r => [r.row, r.status, r.errors]),
+            [
+                [2, "valid", []],
+                [4, "valid", []],
+                [6, "invalid", ["File not found in the archive."]],
+                [7, "invalid", ["Signed date is invalid."]]
+            ]);
+
+        assert.equal(await lookup("frank@example.com"), 404);
+        assert.deepEqual(await getStoredFiles(), []);
+    });
+
+    it("creates the signatures of a valid manifest", async () =>
+    {
+        const response = await postImport(manifest, archive);
+        assert.equal(response.status, 200);
+
+        const result = await response.json();
+        assert.equal(result.created, 2);
+        assert.ok(result.rows.every(r => r.status == "created"));
+
+        assert.equal(await lookup("frank@example.com"), 200);
+        assert.equal((await getStoredFiles()).length, 2);
+    });
+
+    it("rejects duplicates of earlier imports", async () =>
+    {
+        const response = await postImport(manifest, archive, "?dryRun=true");
+        assert.equal(response.status, 400);
+
+        const { rows } = await response.json();
+        assert.match(rows[0].errors[0], /already been uploaded/);
+    });
+
+    it("rejects files larger than CLA_UPLOAD_MAX_SIZE when decompressed", async () =>
+    {
+        const large = createArchive({ "large.pdf": PDF + " ".repeat(5000) });
+
+        // the archive claims a smaller size than the file has
+        for (const [signature, offset] of [[0x04034b50, 22], [0x02014b50, 24]])
+        {
+            const position = large.indexOf(Buffer.from(new Uint32Array([signature]).buffer));
+            large.writeUInt32LE(100, position + offset);
+        }
+
+        const response = await postImport(HEADER + "\nlarge.pdf,Ivan Ives,ivan@example.com,none,2025-03-04,,,,", large);
+        assert.equal(response.status, 400);
+
+        const { rows } = await response.json();
+        assert.deepEqual(rows[0].errors, ["CLA file is larger than 1000 bytes."]);
+    });
+
+    it("rejects archives larger than CLA_IMPORT_MAX_SIZE", async () =>
+    {
+        const stored = await getStoredState();
+
+        const response = await postImport(manifest, crypto.randomBytes(20000));
+        assert.equal(response.status, 413);
+        assert.equal(await response.text(), "ERROR: Manifest or archive is larger than 10000 bytes.");
+
+        const large = await postImport(manifest + "\n" + "#".repeat(20000), createArchive({ "a.pdf": PDF }));
+        assert.equal(large.status, 413);
+
+        // the partially received files are removed
+        assert.deepEqual(await getStoredState(), stored);
+    });
+
+    it("rejects uploads to /list larger than CLA_UPLOAD_MAX_SIZE", async () =>
+    {
+        const stored = await getStoredState();
+
+        const form = new FormData();
+        for (const [name, value] of Object.entries({ name: "Judy Jones", email: "judy@example.com", employer: "none", signed: "2025-03-05" }))
+            form.append(name, value);
+        form.append("cla", new Blob([PDF + " ".repeat(5000)]), "cla.pdf");
+
+        const response = await server.request("/list", { method: "POST", body: form, headers: { Accept: "text/plain", Authorization: SIGN_AUTH } });
+        assert.equal(response.status, 400);
+        assert.equal(await response.text(), "ERROR: CLA file is larger than 1000 bytes.");
+
+        assert.deepEqual(await getStoredState(), stored);
+        assert.equal(await lookup("judy@example.com"), 404);
+    });
+
+    it("rejects unexpected fields", async () =>
+    {
+        const form = new FormData();
+        form.append("other", new Blob([manifest]), "manifest.csv");
+
+        const response = await server.request("/import", { method: "POST", body: form, headers: { Authorization: SIGN_AUTH } });
+        assert.equal(response.status, 400);
+        assert.equal(await response.text(), "ERROR: Unexpected field");
+    });
+});
@@ -0,0 +1,138 @@
+// Tests of searching, sorting and paging of /list
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const LIST_AUTH = basicAuth("reader", "reader-password");
+
+describe("/list paging", () =>
+{
+    let mock;
+    let server;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_LIST_AUTH: LIST_AUTH.substring("Basic ".length)
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+    });
+
+    function list(query)
+    {
+        return server.request("/list?" + query, { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+    }
+
+    // users of the page in order, with the paging properties and headers
+    async function getPage(query)
+    {
+        const response = await list(query);
+        assert.equal(response.status, 200);
+
+        const page = await response.json();
+        return {
+            users: [...new Set(page.signatures.map(s => s.user))],
+            page: page.page,
+            pages: page.pages,
+            total: page.total,
+            next: page.next,
+            totalCount: response.headers.get("X-Total-Count"),
+            link: response.headers.get("Link")
+        };
+    }
+
+    it("returns all users newest signature first by default", async () =>
+    {
+        const { users, page, pages, total, next, totalCount, link } = await getPage("");
+        assert.deepEqual(users, ["carol", "alice", "bob"]);
+        assert.deepEqual([page, pages, total, next], [1, 1, 3, null]);
+        assert.equal(totalCount, "3");
+        assert.equal(link, null);
+    });
+
+    it("pages by ?page= and ?pageSize=", async () =>
+    {
+        assert.deepEqual(await getPage("pageSize=2"),
+            { users: ["carol", "alice"], page: 1, pages: 2, total: 3, next: Buffer.from("alice").toString("base64url"), totalCount: "3", link: `</list?pageSize=2&cursor=${Buffer.from("alice").toString("base64url")}>; rel="next"` });
+
+        const second = await getPage("pageSize=2&page=2");
+        assert.deepEqual([second.users, second.page, second.pages, second.next, second.link], [["bob"], 2, 2, null, null]);
+
+        const middle = await getPage("pageSize=1&page=2");
+        assert.deepEqual([middle.users, middle.page, middle.pages], [["alice"], 2, 3]);
+
+        const beyond = await getPage("pageSize=1&page=4");
+        assert.deepEqual([beyond.users, beyond.next, beyond.totalCount], [[], null, "3"]);
+    });
+
+    it("returns all users with ?pageSize=0", async () =>
+    {
+        const { users, page, pages, next } = await getPage("pageSize=0&page=1");
+        assert.deepEqual([users, page, pages, next], [["carol", "alice", "bob"], 1, 1, null]);
+    });
+
+    it("follows the cursor in the Link header through all pages", async () =>
+    {
+        const users = [];
+        let url = "/list?pageSize=1";
+        for (let i = 0; url && i < 5; i++)
+        {
+            const response = await server.request(url, { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+            const page = await response.json();
+            users.push(...new Set(page.signatures.map(s => s.user)));
+
+            url = response.headers.get("Link")?.match(/^<([^>]+)>; rel="next"$/)[1] ?? null;
+            assert.equal(url === null, page.next === null);
+        }
+
+        assert.deepEqual(users, ["carol", "alice", "bob"]);
+    });
+
+    it("sorts by ?sort=", async () =>
+    {
+        assert.deepEqual((await getPage("sort=user")).users, ["alice", "bob", "carol"]);
+        assert.deepEqual((await getPage("sort=-user")).users, ["carol", "bob", "alice"]);
+        assert.deepEqual((await getPage("sort=signed")).users, ["bob", "alice", "carol"]);
+        assert.deepEqual((await getPage("sort=name&pageSize=2&page=2")).users, ["carol"]);
+
+        // users without the field go last
+        assert.deepEqual((await getPage("sort=revoked")).users, ["bob", "alice", "carol"]);
+    });
+
+    it("searches by ?q= in ?fields=", async () =>
+    {
+        const byName = await getPage("q=ANDERSON");
+        assert.deepEqual([byName.users, byName.total, byName.totalCount], [["alice"], 1, "1"]);
+
+        assert.deepEqual((await getPage("q=example.org&fields=email")).users, ["carol"]);
+        assert.deepEqual((await getPage("q=example.org&fields=user")).users, []);
+        assert.deepEqual((await getPage("q=example&sort=user&pageSize=1&page=3")).users, ["carol"]);
+    });
+
+    it("rejects invalid paging parameters", async () =>
+    {
+        for (const [query, message] of [
+            ["pageSize=-1", "Invalid page size."],
+            ["pageSize=many", "Invalid page size."],
+            ["page=0", "Invalid page."],
+            ["cursor=" + Buffer.from("nobody").toString("base64url"), "Invalid cursor."]
+        ])
+        {
+            const response = await list(query);
+            assert.equal(response.status, 400, query);
+            assert.equal(await response.text(), message);
+        }
+    });
+});
@@ -0,0 +1,189 @@
+// Tests of the structured log: JSON lines, levels, request ids and redaction
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it, mock as testMock } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { startClaDwight } from './helpers.mjs';
+import { createClaDwight } from '../cla-dwight.mjs';
+
+const ORG_TOKEN = "secret-org-token";
+
+describe("logging", () =>
+{
+    let mock;
+    let server;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: ORG_TOKEN,
+                CLA_LOOKUP_FIELDS: "email",
+                CLA_AUTH_FIELDS: "email",
+                CLA_LOG_LEVEL: "info"
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+    });
+
+    // the first entry of the server log matching the predicate, waits for it as requests are logged when finished
+    async function findEntry(predicate)
+    {
+        for (let attempt = 0; attempt < 50; attempt++)
+        {
+            const entry = server.output.split("\n").filter(line => line).map(line => JSON.parse(line)).find(predicate);
+            if (entry)
+                return entry;
+
+            await sleep(20);
+        }
+
+        assert.fail("No matching log entry in:\n" + server.output);
+    }
+
+    // entries written to stdout and stderr by the synchronous log calls
+    function captureLog(log)
+    {
+        const entries = [];
+        const stdout = testMock.method(process.stdout, "write", line => entries.push({ stream: "stdout", ...JSON.parse(line) }) > 0);
+        const stderr = testMock.method(process.stderr, "write", line => entries.push({ stream: "stderr", ...JSON.parse(line) }) > 0);
+        try
+        {
+            log();
+        }
+        finally
+        {
+            stdout.mock.restore();
+            stderr.mock.restore();
+        }
+        return entries;
+    }
+
+    it("logs requests as JSON lines", async () =>
+    {
+        const response = await server.request("/get/sig-alice-v2", { headers: { "X-Request-Id": "trace-1" } });
+        assert.equal(response.status, 200);
+
+        const entry = await findEntry(e => e.requestId == "trace-1");
+        assert.deepEqual(Object.keys(entry).sort(), ["duration", "level", "message", "method", "organization", "path", "requestId", "route", "status", "timestamp", "user"]);
+        assert.equal(entry.level, "info");
+        assert.equal(new Date(entry.timestamp).toISOString(), entry.timestamp);
+        assert.equal(entry.message, "GET /get/sig-alice-v2 200");
+        assert.deepEqual([entry.method, entry.path, entry.route, entry.organization, entry.status, entry.user], ["GET", "/get/sig-alice-v2", "/get/:id", "default", 200, null]);
+        assert.equal(typeof entry.duration, "number");
+    });
+
+    it("echoes the X-Request-Id header", async () =>
+    {
+        const response = await server.request("/status", { headers: { "X-Request-Id": "proxy-42.a:b" } });
+        assert.equal(response.headers.get("X-Request-Id"), "proxy-42.a:b");
+    });
+
+    it("generates request ids unless a reasonable one is given", async () =>
+    {
+        const ids = [];
+        for (const headers of [{}, {}, { "X-Request-Id": "not reasonable!" }, { "X-Request-Id": "x".repeat(129) }])
+        {
+            const response = await server.request("/status", { headers });
+            ids.push(response.headers.get("X-Request-Id"));
+        }
+
+        for (const id of ids)
+            assert.match(id, /^[\w-]{21}$/);
+        assert.equal(new Set(ids).size, ids.length);
+
+        const entry = await findEntry(e => e.requestId == ids[0]);
+        assert.equal(entry.path, "/status");
+    });
+
+    it("redacts private lookup field values in paths", async () =>
+    {
+        const response = await server.request("/list/" + encodeURIComponent("alice@example.com"), { headers: { "X-Request-Id": "lookup-1" } });
+        assert.equal(response.status, 200);
+
+        const entry = await findEntry(e => e.requestId == "lookup-1");
+        assert.equal(entry.path, "/list/[redacted]");
+        assert.equal(entry.message, "GET /list/[redacted] 200");
+        assert.doesNotMatch(server.output, /alice@example\.com|alice%40example\.com/);
+
+        // usernames are hidden as well, as they could be values of the lookup fields
+        await server.request("/list/alice", { headers: { "X-Request-Id": "lookup-2" } });
+        assert.equal((await findEntry(e => e.requestId == "lookup-2")).path, "/list/[redacted]");
+    });
+
+    it("adds the request id to entries logged while handling the request", async () =>
+    {
+        mock.failing = true;
+        try
+        {
+            const response = await server.request("/reload", { headers: { "X-Request-Id": "reload-1" } });
+            assert.equal(response.status, 500);
+        }
+        finally
+        {
+            mock.failing = false;
+        }
+
+        const entry = await findEntry(e => e.requestId == "reload-1" && e.level == "error");
+        assert.equal(entry.message, entry.error.message);
+        assert.equal((await findEntry(e => e.requestId == "reload-1" && e.route == "/reload")).status, 500);
+
+        assert.equal((await server.request("/reload")).status, 200);
+    });
+
+    it("writes entries of the configured level and above", async () =>
+    {
+        const { logger } = await createClaDwight({ GITHUB_ORGID: "1", GITHUB_ORGTOKEN: ORG_TOKEN, CLA_LOG_LEVEL: "warn" }, { load: false });
+        const entries = captureLog(() =>
+        {
+            logger.debug("debug entry");
+            logger.info("info entry");
+            logger.warn("warn entry", { id: "sig-1" });
+            logger.error(new Error("error entry"));
+        });
+
+        assert.deepEqual(entries.map(e => [e.stream, e.level, e.message]), [["stderr", "warn", "warn entry"], ["stderr", "error", "error entry"]]);
+        assert.equal(entries[0].id, "sig-1");
+        assert.equal(entries[1].error.name, "Error");
+        assert.match(entries[1].error.stack, /error entry/);
+
+        const { logger: debug } = await createClaDwight({ GITHUB_ORGID: "1", GITHUB_ORGTOKEN: ORG_TOKEN, CLA_LOG_LEVEL: "debug" }, { load: false });
+        assert.deepEqual(captureLog(() => debug.debug("debug entry")).map(e => [e.stream, e.level]), [["stdout", "debug"]]);
+    });
+
+    it("redacts credentials, secrets and private custom fields", async () =>
+    {
+        const { logger } = await createClaDwight(
+            {
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: ORG_TOKEN,
+                GITHUB_WEBHOOK_SECRET: "secret-of-webhooks",
+                CLA_AUTH_FIELDS: "email phone",
+                CLA_LOG_LEVEL: "info"
+            }, { load: false });
+
+        const [entry] = captureLog(() => logger.info(`Calling https://example.com/?token=${ORG_TOKEN}`,
+            {
+                headers: { Authorization: "Basic dXNlcjpwYXNz", Cookie: "session=1" },
+                password: "hunter2",
+                orgToken: ORG_TOKEN,
+                signatures: [{ user: "alice", custom_fields: { name: "Alice", email: "alice@example.com", phone: "555" } }],
+                note: "signed with secret-of-webhooks"
+            }));
+
+        assert.equal(entry.message, "Calling https://example.com/?token=[redacted]");
+        assert.deepEqual(entry.headers, { Authorization: "[redacted]", Cookie: "[redacted]" });
+        assert.equal(entry.password, "[redacted]");
+        assert.equal(entry.orgToken, "[redacted]");
+        assert.deepEqual(entry.signatures, [{ user: "alice", custom_fields: { name: "Alice", email: "[redacted]", phone: "[redacted]" } }]);
+        assert.equal(entry.note, "signed with [redacted]");
+    });
+});
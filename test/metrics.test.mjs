@@ -0,0 +1,111 @@
+// Tests of /metrics in the Prometheus text format
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { startClaDwight } from './helpers.mjs';
+
+describe("/metrics", () =>
+{
+    let mock;
+    let server;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token"
+            });
+
+        // requests counted by route, a failed reload
+        await server.request("/list/alice");
+        await server.request("/list/nobody");
+        await server.request("/no-such-route");
+        mock.failing = true;
+        await server.request("/reload");
+        mock.failing = false;
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+    });
+
+    // samples as a Map of "name{labels}" to the value, and the text
+    async function getMetrics()
+    {
+        const response = await server.request("/metrics");
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get("Content-Type"), /^text\/plain;.*version=0\.0\.4/);
+
+        const text = await response.text();
+        const samples = new Map(text.split("\n").filter(l => l && !l.startsWith("#")).map(line =>
+        {
+            const separator = line.lastIndexOf(" ");
+            return [line.substring(0, separator), Number(line.substring(separator + 1))];
+        }));
+
+        return { text, samples };
+    }
+
+    it("describes each metric once", async () =>
+    {
+        const { text } = await getMetrics();
+        const types = text.split("\n").filter(l => l.startsWith("# TYPE ")).map(l => l.split(" ").slice(2));
+        assert.deepEqual(new Set(types.map(t => t[0])).size, types.length);
+        assert.deepEqual(types.find(t => t[0] == "cla_dwight_http_requests_total"), ["cla_dwight_http_requests_total", "counter"]);
+        assert.deepEqual(types.find(t => t[0] == "cla_dwight_signatures"), ["cla_dwight_signatures", "gauge"]);
+        assert.match(text, /^# HELP cla_dwight_reloads_total Reloads of CLA assistant data by outcome \(ok, cached, failed\)\.\n# TYPE cla_dwight_reloads_total counter$/m);
+        assert.ok(text.endsWith("\n"));
+    });
+
+    it("counts HTTP requests by route and status code", async () =>
+    {
+        const { samples } = await getMetrics();
+        assert.equal(samples.get('cla_dwight_http_requests_total{organization="default",method="GET",route="/list/:username",status="200"}'), 1);
+        assert.equal(samples.get('cla_dwight_http_requests_total{organization="default",method="GET",route="/list/:username",status="404"}'), 1);
+        assert.equal(samples.get('cla_dwight_http_requests_total{organization="default",method="GET",route="unmatched",status="404"}'), 1);
+    });
+
+    it("reports durations as cumulative histograms", async () =>
+    {
+        const { text, samples } = await getMetrics();
+        const labels = 'organization="default",call="getAll",outcome="success"';
+        const buckets = text.split("\n").filter(l => l.startsWith(`cla_dwight_assistant_request_duration_seconds_bucket{${labels},le=`));
+
+        assert.equal(buckets.length, 14);
+        assert.match(buckets[0], /le="0\.005"/);
+        assert.match(buckets[13], /le="\+Inf"/);
+
+        const counts = buckets.map(l => Number(l.split(" ")[1]));
+        assert.ok(counts.every((count, i) => i == 0 || count >= counts[i - 1]));
+        assert.equal(counts[13], 2);
+        assert.equal(samples.get(`cla_dwight_assistant_request_duration_seconds_count{${labels}}`), 2);
+        assert.ok(samples.get(`cla_dwight_assistant_request_duration_seconds_sum{${labels}}`) > 0);
+        assert.equal(samples.get('cla_dwight_assistant_request_duration_seconds_count{organization="default",call="getGist",outcome="failure"}'), 1);
+    });
+
+    it("counts reloads by outcome", async () =>
+    {
+        const { samples } = await getMetrics();
+        assert.equal(samples.get('cla_dwight_reloads_total{organization="default",outcome="ok"}'), 1);
+        assert.equal(samples.get('cla_dwight_reloads_total{organization="default",outcome="failed"}'), 1);
+    });
+
+    it("reports the data and signatures", async () =>
+    {
+        const { samples } = await getMetrics();
+        assert.equal(samples.get('cla_dwight_organization_up{organization="default"}'), 0);
+        assert.equal(samples.get('cla_dwight_assistant_breaker_open{}'), 0);
+        assert.equal(samples.get('cla_dwight_file_cache_used{organization="default"}'), 0);
+        assert.equal(samples.get('cla_dwight_degraded_versions{organization="default"}'), 0);
+        assert.ok(samples.get('cla_dwight_data_age_seconds{organization="default"}') >= 0);
+        assert.equal(samples.get('cla_dwight_signatures{organization="default",origin="sign-page",revoked="false"}'), 2);
+        assert.equal(samples.get('cla_dwight_signatures{organization="default",origin="sign-page",revoked="true"}'), 1);
+        assert.equal(samples.get('cla_dwight_signatures{organization="default",origin="comment",revoked="false"}'), 1);
+    });
+});
@@ -0,0 +1,101 @@
+// Mock of the CLA assistant API (/cla/getGist and /cla/getAll) serving fixture data
+//
+// Used by the tests, or run on its own for local development:
+//
+//    node test/mock-cla-assistant.mjs [port]
+//    CLA_ASSISTANT_URL=http://localhost:4000 GITHUB_ORGID=1 GITHUB_ORGTOKEN=token npm start
+//
+// The fixture (fixtures/cla-assistant.json) has a getGist response and getAll responses keyed by gist version.
+// Signatures are returned as the CLA assistant does, i.e. with custom_fields as JSON strings.
+
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "cla-assistant.json");
+
+// Start the mock on the given port (0 for any free port), resolves to the mock state:
+//    url                base URL to use as CLA_ASSISTANT_URL
+//    fixture            the served data, can be changed by the tests
+//    organizations      Map of orgId to other data served for that organization (instead of the fixture)
+//    failing            when true, all calls fail with 500
+//    failingVersions    Set of gist versions for which getAll fails with 503
+//    failures[]         responses { status, headers } the next calls fail with, one per call
+//    requests[]         received calls { call, body, time }
+//    close()
+export async function startMockClaAssistant(port = 0)
+{
+    const fixture = JSON.parse(await fs.readFile(FIXTURE, { encoding: 'utf8' }));
+    const app = express();
+    const mock =
+    {
+        url: null,
+        fixture,
+        organizations: new Map(),
+        failing: false,
+        failingVersions: new Set(),
+        failures: [],
+        requests: [],
+        close: null
+    };
+
+    app.use(express.json());
+
+    // record the call and fail it if asked to
+    app.use((request, response, next) =>
+    {
+        mock.requests.push({ call: path.basename(request.path), body: request.body, time: Date.now() });
+
+        const failure = mock.failures.shift();
+        if (failure)
+            return response.status(failure.status).set(failure.headers ?? {}).end();
+
+        next();
+    });
+
+    app.post('/cla/getGist', (request, response) =>
+    {
+        if (mock.failing)
+            return response.status(500).end();
+        if (!request.body?.orgId)
+            return response.status(400).send("orgId is required");
+
+        response.send(getFixture(request.body.orgId).gist);
+    });
+
+    app.post('/cla/getAll', (request, response) =>
+    {
+        const version = request.body?.gist?.gist_version;
+        if (mock.failing)
+            return response.status(500).end();
+        if (mock.failingVersions.has(version))
+            return response.status(503).end();
+        if (!request.body?.token || !request.body?.gist?.gist_url)
+            return response.status(400).send("token and gist are required");
+
+        // copies, because the signatures are changed by the caller when in the same process
+        response.send(structuredClone(getFixture(request.body.orgId).signatures[version] ?? []));
+    });
+
+    function getFixture(orgId)
+    {
+        return mock.organizations.get(String(orgId)) ?? mock.fixture;
+    }
+
+    const server = await new Promise((resolve, reject) =>
+    {
+        const server = app.listen(port, "127.0.0.1", () => resolve(server));
+        server.on("error", reject);
+    });
+
+    mock.url = `http://127.0.0.1:${server.address().port}`;
+    mock.close = () => new Promise(resolve => server.close(resolve));
+    return mock;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) == path.resolve(process.argv[1]))
+{
+    const mock = await startMockClaAssistant(Number(process.argv[2]) || 4000);
+    console.log(`Mock CLA assistant running at ${mock.url}`);
+}
@@ -0,0 +1,160 @@
+// Tests of multiple organizations (CLA_ORGANIZATIONS) served at /org/name and looked up together by /lookup
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const ACME_AUTH = basicAuth("acme", "acme-password");
+
+// data of the acme organization: a single CLA version signed by dave, alice revoked her signature
+const ACME =
+{
+    gist:
+    {
+        html_url: "https://gist.github.com/acme/fedcba9876543210",
+        files: { "acme-cla.md": {} },
+        history: [{ version: "a1", committed_at: "2022-01-01T00:00:00Z", url: "https://api.github.com/gists/fedcba9876543210/a1" }]
+    },
+    signatures:
+    {
+        a1:
+        [
+            {
+                _id: "acme-dave",
+                user: "dave",
+                gist_version: "a1",
+                created_at: "2022-02-01T00:00:00Z",
+                updated_at: "2022-02-01T00:00:00Z",
+                origin: "sign-page",
+                custom_fields: JSON.stringify({ name: "Dave Davis", email: "dave@acme.example" })
+            },
+            {
+                _id: "acme-alice",
+                user: "alice",
+                gist_version: "a1",
+                created_at: "2022-03-01T00:00:00Z",
+                updated_at: "2023-01-01T00:00:00Z",
+                revoked_at: "2023-01-01T00:00:00Z",
+                origin: "sign-page",
+                custom_fields: JSON.stringify({ name: "Alice Anderson", email: "alice@example.com" })
+            }
+        ]
+    }
+};
+
+describe("multiple organizations", () =>
+{
+    let mock;
+    let server;
+    let directory;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        mock.organizations.set("2", ACME);
+
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        const organizations = path.join(directory, "organizations.json");
+        await fs.writeFile(organizations, JSON.stringify(
+            [
+                { name: "acme", orgId: "2", orgToken: "acme-token", listAuth: ACME_AUTH.substring("Basic ".length) },
+                { name: "broken", orgId: "3" }
+            ]));
+
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_ORGANIZATIONS: organizations,
+                CLA_LOOKUP_FIELDS: "email"
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    async function status(url, headers)
+    {
+        return (await server.request(url, { headers })).status;
+    }
+
+    describe("/org/name", () =>
+    {
+        it("serves the first organization also without the prefix", async () =>
+        {
+            assert.equal(await status("/list/carol"), 200);
+            assert.equal(await status("/org/default/list/carol"), 200);
+            assert.equal(await status("/list/dave"), 404);
+        });
+
+        it("serves the data of each organization", async () =>
+        {
+            assert.equal(await status("/org/acme/list/dave"), 200);
+            assert.equal(await status("/org/acme/list/dave@acme.example"), 200);
+            assert.equal(await status("/org/acme/list/alice"), 410);
+            assert.equal(await status("/org/acme/list/carol"), 404);
+            assert.equal(await status("/org/acme/get/acme-dave"), 200);
+            assert.equal(await status("/get/acme-dave"), 404);
+        });
+
+        it("authorizes with the credentials of the organization", async () =>
+        {
+            const headers = { Accept: "application/json", Authorization: ACME_AUTH };
+            assert.equal(await status("/org/acme/list", headers), 200);
+            assert.equal(await status("/org/acme/list", { Accept: "application/json" }), 401);
+            assert.equal(await status("/list", headers), 401);
+        });
+
+        it("reports organizations in error state separately", async () =>
+        {
+            assert.equal(await status("/org/acme/status"), 200);
+            assert.equal(await status("/org/broken/status"), 503);
+            assert.equal(await status("/status"), 200);
+        });
+
+        it("responds 404 for unknown organizations", async () =>
+        {
+            const response = await server.request("/org/unknown/list/alice");
+            assert.equal(response.status, 404);
+            assert.equal(await response.text(), "Unknown organization");
+        });
+    });
+
+    describe("/lookup", () =>
+    {
+        it("reports the status in all organizations", async () =>
+        {
+            const response = await server.request("/lookup/alice", { headers: { Accept: "application/json" } });
+            assert.equal(response.status, 200);
+
+            const { user, results } = await response.json();
+            assert.equal(user, "alice");
+            assert.deepEqual(results.map(r => [r.organization, r.status, r.ids.toSorted()]),
+                [
+                    ["default", "signed", ["sig-alice-v1", "sig-alice-v2"]],
+                    ["acme", "revoked", ["acme-alice"]],
+                    ["broken", "unavailable", []]
+                ]);
+        });
+
+        it("finds users by lookup fields", async () =>
+        {
+            const response = await server.request("/lookup/dave@acme.example", { headers: { Accept: "text/plain" } });
+            assert.equal(await response.text(), "default missing\nacme signed\nbroken unavailable");
+        });
+
+        it("is only served without the organization prefix", async () =>
+        {
+            assert.equal(await status("/org/acme/lookup/alice"), 404);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+// Tests of incremental and full reloads of the data from the CLA assistant
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const ADMIN_AUTH = basicAuth("admin", "admin-password");
+
+describe("/reload", () =>
+{
+    let mock;
+    let server;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_ADMIN_AUTH: ADMIN_AUTH.substring("Basic ".length)
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+    });
+
+    // gist versions requested by getAll calls of the reload and the reload statistics of /status
+    async function reload(url, headers = {})
+    {
+        const requests = mock.requests.length;
+        const response = await server.request(url, { headers });
+        assert.equal(response.status, 200);
+
+        const status = await server.request("/status", { headers: { Accept: "application/json" } });
+        const { fetched, reused, full } = (await status.json()).reload;
+        const versions = mock.requests.slice(requests).filter(r => r.call == "getAll").map(r => r.body.gist.gist_version);
+        return { versions, fetched, reused, full };
+    }
+
+    it("fetches all versions initially", async () =>
+    {
+        const status = await server.request("/status", { headers: { Accept: "application/json" } });
+        const { fetched, reused, full } = (await status.json()).reload;
+        assert.deepEqual([fetched, reused, full], [2, 0, false]);
+    });
+
+    it("fetches only new versions and the newest version", async () =>
+    {
+        // a new version is published and a signature of an older version is revoked
+        mock.fixture.gist.history.unshift({ version: "v3", committed_at: "2025-01-01T00:00:00Z", url: "https://api.github.com/gists/0123456789abcdef/v3" });
+        mock.fixture.signatures.v3 =
+        [
+            {
+                _id: "sig-dave-v3",
+                user: "dave",
+                userId: 1004,
+                gist_version: "v3",
+                created_at: "2025-02-01T00:00:00Z",
+                updated_at: "2025-02-01T00:00:00Z",
+                origin: "sign-page",
+                custom_fields: JSON.stringify({ name: "Dave Davis", email: "dave@example.com", employer: "none" })
+            }
+        ];
+        Object.assign(mock.fixture.signatures.v1.find(s => s._id == "sig-alice-v1"), { revoked_at: "2025-03-01T00:00:00Z", updated_at: "2025-03-01T00:00:00Z" });
+
+        // v2 is not the newest version any more and is reused
+        assert.deepEqual(await reload("/reload"), { versions: ["v3"], fetched: 1, reused: 2, full: false });
+        assert.equal((await server.request("/get/sig-dave-v3")).status, 200);
+
+        // the revocation in an older version is not picked up
+        assert.equal((await server.request("/get/sig-alice-v1")).status, 200);
+    });
+
+    it("fetches the newest version when there is no new one", async () =>
+    {
+        assert.deepEqual(await reload("/reload"), { versions: ["v3"], fetched: 1, reused: 2, full: false });
+        assert.equal((await server.request("/get/sig-alice-v1")).status, 200);
+    });
+
+    it("fetches all versions with ?full=true", async () =>
+    {
+        assert.deepEqual(await reload("/reload?full=true", { Authorization: ADMIN_AUTH }), { versions: ["v3", "v2", "v1"], fetched: 3, reused: 0, full: true });
+        assert.equal((await server.request("/get/sig-alice-v1")).status, 410);
+
+        // the next reload is incremental again
+        assert.deepEqual((await reload("/reload")).full, false);
+    });
+});
@@ -0,0 +1,80 @@
+// Tests of snapshots taken by reloads, their retention and /diff
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const LIST_AUTH = basicAuth("reader", "reader-password");
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("snapshots", () =>
+{
+    let mock;
+    let server;
+    let directory;
+    let snapshots;
+    const ids = {}; // snapshot ids (timestamps with colons replaced) keyed by days ago
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        snapshots = path.join(directory, "snapshots");
+
+        // snapshots without signatures, the reload at startup takes a new one
+        await fs.mkdir(snapshots);
+        for (const daysAgo of [400, 380, 10])
+        {
+            const timestamp = new Date(Date.now() - daysAgo * DAY).toISOString();
+            ids[daysAgo] = timestamp.replaceAll(":", "-");
+            await fs.writeFile(path.join(snapshots, ids[daysAgo] + ".json"), JSON.stringify({ timestamp, signatures: [] }));
+        }
+
+        server = await startClaDwight(
+            {
+                CLA_ASSISTANT_URL: mock.url,
+                GITHUB_ORGID: "1",
+                GITHUB_ORGTOKEN: "test-token",
+                CLA_LIST_AUTH: LIST_AUTH.substring("Basic ".length),
+                CLA_SNAPSHOTS: snapshots,
+                CLA_SNAPSHOT_RETENTION: "365"
+            });
+    });
+
+    after(async () =>
+    {
+        await server?.stop();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it("keeps the expired snapshot still in effect", async () =>
+    {
+        const files = (await fs.readdir(snapshots)).sort();
+        assert.equal(files.length, 3);
+        assert.deepEqual(files.slice(0, 2), [ids[380] + ".json", ids[10] + ".json"]);
+    });
+
+    it("diffs from a time covered by an expired snapshot", async () =>
+    {
+        const from = new Date(Date.now() - 100 * DAY).toISOString();
+        const response = await server.request("/diff?from=" + encodeURIComponent(from), { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+        assert.equal(response.status, 200);
+
+        const diff = await response.json();
+        assert.equal(diff.from.id, ids[380]);
+        assert.equal(diff.added.length, 4);
+    });
+
+    it("lists the snapshots", async () =>
+    {
+        const response = await server.request("/snapshots", { headers: { Accept: "application/json", Authorization: LIST_AUTH } });
+        const list = await response.json();
+        assert.equal(list.length, 3);
+        assert.ok(list[2].timestamp > new Date(Date.now() - DAY).toISOString());
+    });
+});
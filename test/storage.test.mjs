@@ -0,0 +1,176 @@
+// Tests of the SQLite storage (CLA_STORAGE=sqlite:path) and the migration of files into it
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { DatabaseSync } from 'node:sqlite';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, runServer, startClaDwight } from './helpers.mjs';
+
+const SIGN_AUTH = basicAuth("signer", "signer-password");
+const PDF = "%PDF-1.4\n%test\n";
+
+describe("storage", () =>
+{
+    let mock;
+    let directory;
+    let env;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        env =
+        {
+            CLA_ASSISTANT_URL: mock.url,
+            GITHUB_ORGID: "1",
+            GITHUB_ORGTOKEN: "test-token",
+            CLA_SIGN_AUTH: SIGN_AUTH.substring("Basic ".length)
+        };
+    });
+
+    after(async () =>
+    {
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    async function upload(server, name, email)
+    {
+        const form = new FormData();
+        for (const [field, value] of Object.entries({ name, email, employer: "none", signed: "2025-01-15" }))
+            form.append(field, value);
+        form.append("cla", new Blob([PDF + email]), "cla.pdf");
+
+        const response = await server.request("/list", { method: "POST", body: form, headers: { Authorization: SIGN_AUTH } });
+        assert.equal(response.status, 200);
+    }
+
+    // rows of a table of the database by organization
+    function countRows(databasePath, table)
+    {
+        const database = new DatabaseSync(databasePath, { readOnly: true });
+        try
+        {
+            return Object.fromEntries(database.prepare(`SELECT organization, COUNT(*) AS count FROM ${table} GROUP BY organization`).all()
+                .map(r => [r.organization, r.count]));
+        }
+        finally
+        {
+            database.close();
+        }
+    }
+
+    describe("SQLite", () =>
+    {
+        let sqliteEnv;
+
+        before(() =>
+        {
+            sqliteEnv = { ...env, CLA_STORAGE: "sqlite:" + path.join(directory, "sqlite", "cla.sqlite"), CLA_FILELOCAL: path.join(directory, "sqlite", "local") };
+        });
+
+        it("keeps the cache and local signatures in the database", async () =>
+        {
+            const server = await startClaDwight(sqliteEnv);
+            try
+            {
+                await upload(server, "Dave Davis", "dave@example.com");
+            }
+            finally
+            {
+                await server.stop();
+            }
+
+            const databasePath = path.join(directory, "sqlite", "cla.sqlite");
+            assert.deepEqual(countRows(databasePath, "cache"), { default: 2 });
+            assert.deepEqual(countRows(databasePath, "local_signatures"), { default: 1 });
+            assert.deepEqual(await fs.readdir(path.join(directory, "sqlite", "local", "signatures")), []);
+        });
+
+        it("serves the data from the database when the CLA assistant fails", async () =>
+        {
+            mock.failing = true;
+            const server = await startClaDwight(sqliteEnv);
+            try
+            {
+                const response = await server.request("/status", { headers: { Accept: "application/json" } });
+                assert.equal((await response.json()).reload.cached, true);
+
+                assert.equal((await server.request("/list/alice")).status, 200);
+                assert.equal((await server.request("/list/dave@example.com")).status, 200);
+            }
+            finally
+            {
+                mock.failing = false;
+                await server.stop();
+            }
+        });
+    });
+
+    describe("migrate", () =>
+    {
+        let fileEnv;
+
+        before(async () =>
+        {
+            fileEnv = { ...env, CLA_FILECACHE: path.join(directory, "files", "cache"), CLA_FILELOCAL: path.join(directory, "files", "local") };
+
+            const server = await startClaDwight(fileEnv);
+            try
+            {
+                await upload(server, "Erin Evans", "erin@example.com");
+            }
+            finally
+            {
+                await server.stop();
+            }
+        });
+
+        it("requires a database", async () =>
+        {
+            const { code, stderr, stdout } = await runServer(["migrate"], fileEnv);
+            assert.equal(code, 1);
+            assert.match(stdout + stderr, /CLA_STORAGE must be set to sqlite:path to migrate/);
+        });
+
+        it("imports the cache and local signature files into the database", async () =>
+        {
+            const databasePath = path.join(directory, "files", "cla.sqlite");
+            const migrateEnv = { ...fileEnv, CLA_STORAGE: "sqlite:" + databasePath };
+
+            // repeated migrations replace the imported rows
+            for (let i = 0; i < 2; i++)
+            {
+                const { code, stderr } = await runServer(["migrate"], migrateEnv);
+                assert.equal(code, 0, stderr);
+            }
+
+            assert.deepEqual(countRows(databasePath, "cache"), { default: 2 });
+            assert.deepEqual(countRows(databasePath, "local_signatures"), { default: 1 });
+
+            // the files are left in place
+            assert.equal((await fs.readdir(path.join(directory, "files", "local", "signatures"))).length, 1);
+
+            mock.failing = true;
+            const server = await startClaDwight(migrateEnv);
+            try
+            {
+                assert.equal((await server.request("/list/carol")).status, 200);
+                assert.equal((await server.request("/list/erin@example.com")).status, 200);
+            }
+            finally
+            {
+                mock.failing = false;
+                await server.stop();
+            }
+        });
+    });
+
+    it("rejects invalid storage", async () =>
+    {
+        await assert.rejects(startClaDwight({ ...env, CLA_STORAGE: "postgres" }), /CLA_STORAGE environment variable must be file or sqlite:path/);
+    });
+});
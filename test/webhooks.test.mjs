@@ -0,0 +1,150 @@
+// Tests of CLA_WEBHOOKS notifications about signature changes
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockClaAssistant } from './mock-cla-assistant.mjs';
+import { basicAuth, startClaDwight } from './helpers.mjs';
+
+const ADMIN_AUTH = basicAuth("admin", "admin-password");
+
+describe("CLA_WEBHOOKS", () =>
+{
+    let mock;
+    let receiver;
+    let directory;
+    let env;
+
+    before(async () =>
+    {
+        mock = await startMockClaAssistant();
+        receiver = await startReceiver();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "cla-dwight-test-"));
+        env =
+        {
+            CLA_ASSISTANT_URL: mock.url,
+            GITHUB_ORGID: "1",
+            GITHUB_ORGTOKEN: "test-token",
+            CLA_FILECACHE: path.join(directory, "cache"),
+            CLA_WEBHOOKS: receiver.url,
+            CLA_WEBHOOK_RETRIES: "1"
+        };
+    });
+
+    after(async () =>
+    {
+        await receiver?.close();
+        await mock?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    // signature of the fixture format (custom_fields as JSON string)
+    function addSignature(id, user)
+    {
+        mock.fixture.signatures.v2.push(
+            {
+                _id: id,
+                user,
+                gist_version: "v2",
+                created_at: "2025-01-01T00:00:00Z",
+                updated_at: "2025-01-01T00:00:00Z",
+                origin: "sign-page",
+                custom_fields: JSON.stringify({ name: user, email: `${user}@example.com` })
+            });
+    }
+
+    it("does not notify the first load", async () =>
+    {
+        const server = await startClaDwight(env);
+        await server.stop();
+        assert.deepEqual(receiver.events, []);
+    });
+
+    it("notifies changes made while not running", async () =>
+    {
+        addSignature("sig-dave-v2", "dave");
+        const carol = mock.fixture.signatures.v2.find(s => s._id == "sig-carol-v2");
+        carol.revoked_at = carol.updated_at = "2025-02-01T00:00:00Z";
+
+        const server = await startClaDwight(env);
+        try
+        {
+            await waitFor(() => receiver.events.length >= 2);
+            assert.deepEqual(receiver.events.map(e => [e.event, e.signature._id]).sort(),
+                [["signature.created", "sig-dave-v2"], ["signature.revoked", "sig-carol-v2"]]);
+            assert.ok(receiver.events.every(e => e.organization == "default"));
+        }
+        finally
+        {
+            await server.stop();
+        }
+    });
+
+    it("audits failed deliveries with the organization", async () =>
+    {
+        addSignature("sig-erin-v2", "erin");
+        receiver.failing = true;
+
+        const server = await startClaDwight({ ...env, CLA_AUDITLOG: path.join(directory, "audit"), CLA_ADMIN_AUTH: ADMIN_AUTH.substring("Basic ".length) });
+        try
+        {
+            let entries = [];
+            await waitFor(async () =>
+            {
+                const response = await server.request("/audit?action=webhook.failed", { headers: { Accept: "application/json", Authorization: ADMIN_AUTH } });
+                entries = (await response.json()).entries;
+                return entries.length > 0;
+            });
+
+            assert.equal(entries[0].id, "sig-erin-v2");
+            assert.equal(entries[0].details.organization, "default");
+            assert.equal(entries[0].details.event, "signature.created");
+        }
+        finally
+        {
+            receiver.failing = false;
+            await server.stop();
+        }
+    });
+});
+
+// Receiver of webhook requests, records the received events (or fails with 500 when failing is set)
+async function startReceiver()
+{
+    const app = express();
+    const receiver = { url: null, events: [], failing: false, close: null };
+
+    app.use(express.json());
+    app.post('/', (request, response) =>
+    {
+        if (receiver.failing)
+            return response.status(500).end();
+
+        receiver.events.push(request.body);
+        response.status(200).end();
+    });
+
+    const server = await new Promise(resolve =>
+    {
+        const server = app.listen(0, "127.0.0.1", () => resolve(server));
+    });
+
+    receiver.url = `http://127.0.0.1:${server.address().port}/`;
+    receiver.close = () => new Promise(resolve => server.close(resolve));
+    return receiver;
+}
+
+// Wait until the condition holds, fails after a few seconds
+async function waitFor(condition)
+{
+    for (let attempt = 0; attempt < 50; attempt++)
+    {
+        if (await condition())
+            return;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.fail("Timed out waiting for the condition.");
+}